@@ -0,0 +1,34 @@
+export const defaultOptions = {
+  namespaceSeparator: '/',
+}
+
+/**
+ * @description
+ * Redux action that forgets errors recorded in state, like the `getError` of a failed GET or
+ * the `resourceErrors` of resources that failed to be mutated
+ *
+ * @param {object} namespace        Supplied to generateActions: Redux namespace
+ * @param {string} endpoint         Supplied by generateActions: Api endpoint  Ex: '/products'
+ * @param {object} options          Supplied by generateActions: Options
+ *
+ *                                    - {string} namespaceSeparator - (Defaults to '/')
+ *                                      Separator between the namespace and the action type name
+ *
+ * @param {Array} ids               Supplied when dispatched: (Optional) IDs of the resources
+ *                                  whose errors should be forgotten.  If not given, all errors
+ *                                  are forgotten.
+ */
+function clearErrors(
+  namespace,
+  endpoint,
+  options,
+  // params specific to this action
+  ids,
+) {
+  const { namespaceSeparator } = { ...defaultOptions, ...options }
+  return {
+    ids,
+    type: `${namespace}${namespaceSeparator}CLEAR_ERRORS`,
+  }
+}
+export default { clearErrors }
@@ -1,6 +1,9 @@
 import * as R from 'ramda'
 
-import { createDebugLog } from '../utils'
+import { resolveResourcesEndpoint, withRequestPerResource } from '../endpoints'
+import { queueMutation, shouldQueue } from '../offlineQueue'
+import { withRetries } from '../retry'
+import { createDebugLog, getNextMutationId, summarizeRequestOutcomes } from '../utils'
 
 
 /**
@@ -20,9 +23,9 @@ export const defaultOptions = {
      *                                      developer is using this default option function.
      * @param {object} targetResourcesMap   A map of resource IDs to resources;  May contain more
      *                                      resources than we have IDs in `requestData`
-     * @param {Array} requestData           An Array of IDs of resources to be deleted.  Note that
-     *                                      the default case expects an Array, but this may be an
-     *                                      object in custom implementations
+     * @param {Array} requestData           An Array of IDs of resources to be deleted, or a
+     *                                      single ID when `requestPerResource` is `true`.  Note
+     *                                      that this may be an object in custom implementations
      *
      * @return {Array}                      Array of resources objects to be deleted
      */
@@ -30,7 +33,7 @@ export const defaultOptions = {
     const targetResourcesMap = R.fromPairs(R.map(r => [r[idKey], r], targetResources))
     return R.map(
       R.prop(R.__, targetResourcesMap),
-      requestData,
+      requestData instanceof Array ? requestData : [requestData],
     )
   },
   /**
@@ -43,16 +46,107 @@ export const defaultOptions = {
      * @param  {Array} arrayResourcesToDelete   An Array of resources instances we wish to delete
      *
      * @return {Array}                          An Array containing a single Array of IDs of the
-     *                                          resources to delete
+     *                                          resources to delete, or each ID on its own when
+     *                                          `requestPerResource` is `true`
      */
-  deleteTargetsToRequestDataArray: ({ idKey }, arrayResourcesToDelete) => [
-    R.map(R.prop(idKey), arrayResourcesToDelete),
-  ],
+  deleteTargetsToRequestDataArray: ({ idKey, requestPerResource }, arrayResourcesToDelete) => {
+    const ids = R.map(R.prop(idKey), arrayResourcesToDelete)
+    return requestPerResource ? ids : [ids]
+  },
   handleDeleteFailure: Function.prototype,
   idKey: 'id',
   namespaceSeparator: '/',
+  undoable: false,
+}
+
+// helpers
+const getDeleteActionType = (namespace, { deleteOptimistic, namespaceSeparator }, phase) => (
+  `${namespace}${namespaceSeparator}${deleteOptimistic ? 'OPT' : 'PESS'}_DELETE_${phase}`
+)
+
+
+/**
+ * @description
+ * Redux thunk action that sends a single DELETE request, whose START action has already been
+ * dispatched, and dispatches its outcome.  Used by `deleteResources`, and by `flushQueue` to
+ * replay requests that were queued while offline.
+ *
+ * @param {object} namespace      Redux namespace
+ * @param {string} endpoint       Api endpoint  Ex: '/products'
+ * @param {object} options        Options; See `deleteResources`
+ * @param {object} mutation       The request to send, as { data, mutationId, requestData, url },
+ *                                where `url` is the endpoint with its templated segments filled
+ *                                in (see `../endpoints.js`)
+ * @param {boolean} isReplay      Whether the request is being replayed from the offline queue,
+ *                                in which case it stays queued if it fails for lack of
+ *                                connectivity again
+ *
+ * @return {Promise}              Resolves with the outcome of the request, like
+ *                                { failures, queued, successes }
+ */
+export function sendDelete(namespace, endpoint, options, mutation, isReplay = false) {
+  return async (dispatch, getState) => {
+    const computedOptions = withRequestPerResource(endpoint, {
+      ...defaultOptions,
+      ...options,
+      ...(options || {}).DELETE,
+    })
+    const {
+      deleteFunc, handleDeleteFailure, namespaceSeparator, requestPerResource,
+    } = computedOptions
+    const { data, mutationId, requestData } = mutation
+    const url = mutation.url || resolveResourcesEndpoint(endpoint, computedOptions, getState, data)
+    const getActionType = phase => getDeleteActionType(namespace, computedOptions, phase)
+    // only the request is guarded, so an error once the resources are deleted isn't mistaken for
+    // a failed request
+    let response
+    try {
+      response = await withRetries(
+        // a request to the URL of a resource has no body
+        () => deleteFunc(url, requestPerResource ? {} : { data: requestData }),
+        computedOptions,
+        retry => dispatch({
+          ...retry, data, mutationId, requestData, type: getActionType('RETRY'),
+        }),
+      )
+    } catch (error) {
+      if (shouldQueue(computedOptions, error)) {
+        // a replayed request keeps its place in the queue
+        if (!isReplay) {
+          dispatch(queueMutation(namespace, namespaceSeparator, 'DELETE', mutation, error))
+        }
+        return {
+          failures: [],
+          queued: [{ data, error, requestData }],
+          successes: [],
+        }
+      }
+      dispatch({
+        data, error, mutationId, requestData, type: getActionType('FAIL'),
+      })
+      handleDeleteFailure(computedOptions, error, requestData, null, dispatch, getState)
+      return {
+        failures: [{ data, error, requestData }],
+        successes: [],
+      }
+    }
+    const { data: responseData } = response
+    // NOTE: Not currently separating DELETE operations into partial successes and failures
+    dispatch({
+      data,
+      mutationId,
+      requestData,
+      responseData,
+      type: getActionType('SUCCESS'),
+    })
+    return {
+      failures: [],
+      successes: [{ data, requestData, response }],
+    }
+  }
 }
 
+
 /**
  * @description
  * Redux thunk action that accepts an array of resources to be deleted, then deletes them from
@@ -80,7 +174,9 @@ export const defaultOptions = {
  *                                      pessimistic action types
  *
  *                                    - {function} deleteTargetsToRequestDataArray - (Default to
- *                                      a function that returns a single Array of resource IDs)
+ *                                      a function that returns a single Array of resource IDs,
+ *                                      or each ID on its own when `requestPerResource` is
+ *                                      `true`)
  *                                      A function that accepts the arguments
  *                                        - {object} options - Same options passed to this function
  *                                        - {Array} arrayResourcesToDelete - An Array of resources
@@ -101,18 +197,45 @@ export const defaultOptions = {
  *                                      and returns an Array of resource objects to be considered
  *                                      as deleted or not deleted by our reducers
  *
+ *                                    - {function} getPathParams - (Optional) A function that
+ *                                      accepts the arguments (options, getState) and returns
+ *                                      values for templated segments of the endpoint that the
+ *                                      deleted resources don't have.  See `../endpoints.js`
+ *
  *                                    - {function} handleDeleteFailure - (Defaults to a noop)
  *                                      A function you can specify if you'd like to do something in
  *                                      response to a DELETE failure, like show an error to the user
  *
+ *                                    - {number} maxAttempts - (Defaults to 1) The number of
+ *                                      times each DELETE request is attempted before it fails.
+ *                                      See `../retry.js` for the other retry options
+ *
+ *                                    - {boolean} queueOffline - (Defaults to `false`) Set
+ *                                      to `true` to queue DELETE requests that fail for lack of
+ *                                      connectivity until `flushQueue` replays them.  See
+ *                                      `../offlineQueue.js` for the other queue options
+ *
  *                                    - {string} namespaceSeparator - (Defaults to '/')
  *                                      Separator between the namespace and the action type name
  *
+ *                                    - {boolean} requestPerResource - (Defaults to whether the
+ *                                      endpoint ends with a segment for the ID, like
+ *                                      '/products/:id') Set to `true` to delete each resource
+ *                                      with its own request, without a body, to the resource's
+ *                                      URL
+ *
+ *                                    - {boolean} undoable - (Defaults to `false`) Set to `true`
+ *                                      to record optimistic deletes in the slice's undo history,
+ *                                      so they can be undone by `undo`
+ *
  *                                    - Other - If a custom `deleteTargetsToRequestDataArray`
  *                                      function requires options, they can also be specified
  *
  * @param {object|Array} resourcesToDelete
  *                                  Supplied when dispatched: The resource objects to be deleted
+ *
+ * @return {Promise}                Resolves with a summary of the outcome of every DELETE request
+ *                                  once they have all concluded (see `summarizeRequestOutcomes`)
  */
 function deleteResources(
   namespace,
@@ -122,19 +245,17 @@ function deleteResources(
   resourcesToDelete,
 ) {
   return async (dispatch, getState) => {
-    const computedOptions = {
+    const computedOptions = withRequestPerResource(endpoint, {
       ...defaultOptions,
       ...options,
       ...(options || {}).DELETE,
-    }
+    })
     const {
       debug,
       deleteFunc,
-      deleteOptimistic,
       deleteTargetsToRequestDataArray,
       deleteRequestDataToDataArray,
-      handleDeleteFailure,
-      namespaceSeparator,
+      undoable,
     } = computedOptions
     const debugLog = createDebugLog(debug)
     debugLog('DEBUG autoReduxApi: `deleteResources` (1 of 2) arguments:', {
@@ -143,10 +264,7 @@ function deleteResources(
     if (typeof deleteFunc !== 'function') {
       throw new Error('In `autoReduxApi`, `deleteFunc` not specified; Must be a function')
     }
-    const getActionType = phase => `${namespace}${namespaceSeparator}${deleteOptimistic
-      ? 'OPT'
-      : 'PESS'
-    }_DELETE_${phase}`
+    const getActionType = phase => getDeleteActionType(namespace, computedOptions, phase)
 
     // get Array of resources targeted for deletion
     const targetResources = resourcesToDelete instanceof Array
@@ -157,25 +275,25 @@ function deleteResources(
       requestDataObjs, targetResources,
     })
 
-    requestDataObjs.forEach(async (requestData) => {
+    const requests = R.map((requestData) => {
       const data = deleteRequestDataToDataArray(computedOptions, targetResources, requestData)
-      dispatch({ data, requestData, type: getActionType('START') })
-      try {
-        const { data: responseData } = await deleteFunc(endpoint, { data: requestData })
-        // NOTE: Not currently separating DELETE operations into partial successes and failures
-        dispatch({
-          data,
-          requestData,
-          responseData,
-          type: getActionType('SUCCESS'),
-        })
-      } catch (error) {
-        dispatch({
-          data, error, requestData, type: getActionType('FAIL'),
-        })
-        handleDeleteFailure(computedOptions, error, requestData, null, dispatch, getState)
+      return {
+        data,
+        requestData,
+        url: resolveResourcesEndpoint(endpoint, computedOptions, getState, data),
       }
-    })
+    }, R.values(requestDataObjs))
+
+    const requestOutcomes = await Promise.all(R.map(({ data, requestData, url }) => {
+      const mutationId = getNextMutationId()
+      dispatch({
+        data, mutationId, requestData, type: getActionType('START'), undoable,
+      })
+      return sendDelete(namespace, endpoint, options, {
+        data, mutationId, requestData, url,
+      })(dispatch, getState)
+    }, requests))
+    return summarizeRequestOutcomes(requestOutcomes)
   }
 }
 export default { deleteResources }
@@ -0,0 +1,104 @@
+import * as R from 'ramda'
+
+import { toSliceKey } from '../nested'
+import { defaultQueueOptions } from '../offlineQueue'
+import { summarizeRequestOutcomes } from '../utils'
+import { sendDelete } from './deleteResources'
+import { sendPatch } from './patchResources'
+import { sendPost } from './postResources'
+
+
+export const defaultOptions = {
+  ...defaultQueueOptions,
+  namespaceSeparator: '/',
+}
+
+// helpers
+const sendByOperation = {
+  DELETE: sendDelete,
+  PATCH: sendPatch,
+  POST: sendPost,
+}
+// The flush in progress for each slice of each store, so mutations aren't replayed twice.
+// Stores are told apart by their `getState`.
+const flushesByStore = new WeakMap()
+const getFlushes = (getState) => {
+  if (!flushesByStore.has(getState)) {
+    flushesByStore.set(getState, {})
+  }
+  return flushesByStore.get(getState)
+}
+
+/**
+ * @description
+ * Redux thunk action that replays the mutations in the `offlineQueue` of a slice, in the order
+ * they were queued, and dispatches their outcomes as if they had never been queued.  Does
+ * nothing while offline.  Dispatch it once connectivity returns, like when the browser fires
+ * an `online` event.
+ *
+ * If a mutation fails for lack of connectivity again, it and the mutations after it stay
+ * queued, in order, for the next flush.  Each mutation is replayed with the options of this
+ * action, so they should be the same as those it was queued with.
+ *
+ * NOTE: Mutations are replayed as they were queued, so a mutation of a resource whose
+ *       optimistic POST was queued too still refers to the resource by its temporary ID.
+ *
+ * @param {object} namespace        Supplied to generateActions: Redux namespace, which must also
+ *                                  be where the resource's slice is in the Redux state
+ * @param {string} endpoint         Supplied by generateActions: Api endpoint  Ex: '/products'
+ * @param {object} options          Supplied by generateActions: Options; See `../offlineQueue.js`
+ *                                  and the actions of the queued mutations
+ *
+ * @return {Promise}                Resolves with a summary of the outcome of every replayed
+ *                                  request once the flush has concluded, in which the mutations
+ *                                  left in the queue are `queued` (see
+ *                                  `summarizeRequestOutcomes`)
+ */
+function flushQueue(namespace, endpoint, options) {
+  return async (dispatch, getState) => {
+    const computedOptions = {
+      ...defaultOptions,
+      ...options,
+    }
+    const { isOnline, namespaceSeparator } = computedOptions
+    const sliceKey = toSliceKey(namespace, computedOptions)
+    const flushes = getFlushes(getState)
+    if (flushes[sliceKey]) {
+      return flushes[sliceKey]
+    }
+    const offlineQueue = R.pathOr([], [namespace, 'offlineQueue'], getState())
+    const toQueuedOutcome = mutations => ({
+      failures: [],
+      queued: R.map(R.pick(['data', 'requestData']), mutations),
+      successes: [],
+    })
+    if (!isOnline(computedOptions)) {
+      return summarizeRequestOutcomes([toQueuedOutcome(offlineQueue)])
+    }
+
+    const replay = async ([mutation, ...laterMutations], requestOutcomes) => {
+      if (!mutation) {
+        return requestOutcomes
+      }
+      const send = sendByOperation[mutation.operation]
+      const outcome = await send(namespace, endpoint, options, mutation, true)(dispatch, getState)
+      if (outcome.queued && outcome.queued.length) {
+        return [...requestOutcomes, toQueuedOutcome([mutation, ...laterMutations])]
+      }
+      dispatch({
+        queueId: mutation.queueId,
+        type: `${namespace}${namespaceSeparator}DEQUEUE_MUTATION`,
+      })
+      return replay(laterMutations, [...requestOutcomes, outcome])
+    }
+    flushes[sliceKey] = (async () => {
+      try {
+        return summarizeRequestOutcomes(await replay(offlineQueue, []))
+      } finally {
+        delete flushes[sliceKey]
+      }
+    })()
+    return flushes[sliceKey]
+  }
+}
+export default { flushQueue }
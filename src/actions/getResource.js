@@ -0,0 +1,184 @@
+import * as R from 'ramda'
+
+import { getCollectionEndpoint, getPathParamNames, resolveEndpoint } from '../endpoints'
+import { mergeRelatedResources, normalizeResources } from '../normalize'
+import { withRetries } from '../retry'
+import { createDebugLog, summarizeRequestOutcomes } from '../utils'
+
+
+export const defaultOptions = {
+  debug: false,
+  /**
+   * @description
+   * The default URL of a single resource: the endpoint followed by the resource's ID
+   * @param {object} options  Same options passed to `getResource`
+   * @param {string} endpoint The endpoint of the resource type, without a trailing segment for
+   *                          the ID and with its other templated segments filled in
+   *                          Ex: '/campaigns'
+   * @param {any} id          The ID of the resource to fetch
+   *
+   * @return {string}         The URL of the resource  Ex: '/campaigns/123'
+   */
+  getResourceEndpoint: (options, endpoint, id) => `${endpoint}/${encodeURIComponent(id)}`,
+  getResponseToResource: (options, { data }) => data,
+  handleGetOneSuccess: Function.prototype,
+  idKey: 'id',
+  namespaceSeparator: '/',
+  relations: null,
+}
+
+/**
+ * @description
+ * Redux thunk action that fetches a single resource by its ID and places it among the resources
+ * already in state, replacing any previous version of it, without affecting `order` or any other
+ * resources
+ *
+ * @param {object} namespace        Supplied to generateActions: Redux namespace
+ * @param {string} endpoint         Supplied by generateActions: Api endpoint  Ex: '/products'
+ * @param {object} options          Supplied by generateActions: Options; Those in the `GET`
+ *                                  block are shared with `getResources`
+ *
+ *                                    - {boolean} debug - Set to `true` to get debug messages
+ *
+ *                                    - {function} getFunc - (Required) A function that accepts
+ *                                      the arguments (url, { params }) and returns a Promise.
+ *                                      Compatible with `axios` package.
+ *
+ *                                    - {function} getPathParams - (Optional) A function that
+ *                                      accepts the arguments (options, getState) and returns
+ *                                      values for templated segments of the endpoint.  See
+ *                                      `../endpoints.js`
+ *
+ *                                    - {function} getResourceEndpoint - (Defaults to a function
+ *                                      that appends the ID to the endpoint) A function that
+ *                                      accepts the arguments (options, endpoint, id) and returns
+ *                                      the URL of the resource.  A trailing segment for the ID,
+ *                                      like the ':id' of '/products/:id', is removed from the
+ *                                      endpoint it is given.
+ *
+ *                                    - {function} getResponseToResource - (Defaults to a
+ *                                      function that returns the response's `data`) A function
+ *                                      that accepts the arguments (options, response) and
+ *                                      returns the resource object
+ *
+ *                                    - {function} handleGetOneSuccess - (Optional) Accepts
+ *                                      arguments (response, params, dispatch, getState) and
+ *                                      allows you to perform another task on GET success,
+ *                                      including dispatching other actions.  Unlike the
+ *                                      `handleGetSuccess` of `getResources`, it is called with
+ *                                      the response for the single resource.
+ *
+ *                                    - {string} idKey - (Defaults to 'id') The key of the
+ *                                      resource's identifying property
+ *
+ *                                    - {number} maxAttempts - (Defaults to 1) The number of
+ *                                      times each GET request is attempted before it fails.
+ *                                      See `../retry.js` for the other retry options
+ *
+ *                                    - {string} namespaceSeparator - (Defaults to '/')
+ *                                      Separator between the namespace and the action type name
+ *
+ *                                    - {object} relations - (Defaults to `null`) Describes
+ *                                      related resources nested within the resource; See
+ *                                      `getResources`
+ *
+ * @param {any} id                  Supplied when dispatched: ID of the resource to fetch
+ * @param {object} params           Supplied when dispatched: (Optional) Query parameters,
+ *                                  including values for templated segments of the endpoint,
+ *                                  which are left out of the query string
+ *
+ * @return {Promise}                Resolves with a summary of the request's outcome once the GET
+ *                                  has concluded (see `summarizeRequestOutcomes`)
+ */
+function getResource(
+  namespace,
+  endpoint,
+  options,
+  // params specific to this action
+  id,
+  params,
+) {
+  return async (dispatch, getState) => {
+    const computedOptions = {
+      ...defaultOptions,
+      ...options,
+      ...(options || {}).GET,
+    }
+    const {
+      debug,
+      getFunc,
+      getResourceEndpoint,
+      getResponseToResource,
+      handleGetOneSuccess,
+      idKey,
+      namespaceSeparator,
+      relations,
+    } = computedOptions
+    const debugLog = createDebugLog(debug)
+    debugLog('DEBUG autoReduxApi: `getResource` (1 of 1) arguments:', {
+      namespace, endpoint, options, id, params, computedOptions,
+    })
+    if (typeof getFunc !== 'function') {
+      throw new Error('In `autoReduxApi`, `getFunc` not specified; Must be a function')
+    }
+    if (id === undefined || id === null) {
+      throw new Error('In `autoReduxApi`, `getResource` requires the ID of the resource to get')
+    }
+    const getActionType = phase => `${namespace}${namespaceSeparator}PESS_GET_ONE_${phase}`
+    // params that fill in the endpoint's templated segments aren't sent in the query string
+    const collectionEndpoint = getCollectionEndpoint(computedOptions, endpoint)
+    const url = getResourceEndpoint(
+      computedOptions,
+      resolveEndpoint(collectionEndpoint, computedOptions, getState, params),
+      id,
+    )
+    const queryParams = params && R.omit(getPathParamNames(collectionEndpoint), params)
+    dispatch({
+      id,
+      params,
+      type: getActionType('START'),
+    })
+    // only the request itself is guarded, so an error of a reducer or of `handleGetOneSuccess`
+    // isn't taken for a failed GET
+    let response
+    try {
+      response = await withRetries(
+        () => getFunc(url, { params: queryParams }),
+        computedOptions,
+        retry => dispatch({
+          ...retry, id, params, type: getActionType('RETRY'),
+        }),
+      )
+    } catch (error) {
+      dispatch({
+        error,
+        id,
+        params,
+        type: getActionType('FAIL'),
+      })
+      return summarizeRequestOutcomes([{
+        failures: [{ error, requestData: params }],
+        successes: [],
+      }])
+    }
+    const {
+      relatedIdKeys,
+      relatedResources,
+      resources: [resource],
+    } = normalizeResources(relations || {}, [getResponseToResource(computedOptions, response)])
+    mergeRelatedResources(dispatch, namespaceSeparator, relatedResources, relatedIdKeys)
+    dispatch({
+      // the API may leave the ID out of the resource it responds with
+      data: { ...resource, [idKey]: resource[idKey] === undefined ? id : resource[idKey] },
+      id,
+      params,
+      type: getActionType('SUCCESS'),
+    })
+    handleGetOneSuccess(response, params, dispatch, getState)
+    return summarizeRequestOutcomes([{
+      failures: [],
+      successes: [{ data: resource, requestData: params, response }],
+    }])
+  }
+}
+export default { getResource }
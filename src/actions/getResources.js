@@ -1,10 +1,82 @@
-import { createDebugLog } from '../utils'
+/* global AbortController */
+import * as R from 'ramda'
 
+import { getCollectionEndpoint, getPathParamNames, resolveEndpoint } from '../endpoints'
+import { mergeRelatedResources, normalizeResources } from '../normalize'
+import { toSliceKey } from '../nested'
+import { initialQueryState } from '../reductions/pessimisticGet'
+import { defaultRetryOptions, withRetries } from '../retry'
+import { createDebugLog, summarizeRequestOutcomes, toQueryKey } from '../utils'
+
+
+// helpers
+let getRequestNum = 0
+const getNextRequestId = () => {
+  getRequestNum += 1
+  return getRequestNum
+}
+// The most recent GET started for each slice (and query, if keyed by query) of each store, as
+// { abortController, paramsKey, promise, requestId }.  They are kept per store, by the store's
+// `getState`, so stores in the same process, like in SSR or in tests, don't supersede each
+// other's GETs.
+const latestGetsByStore = new WeakMap()
+const getLatestGets = (getState) => {
+  if (!latestGetsByStore.has(getState)) {
+    latestGetsByStore.set(getState, {})
+  }
+  return latestGetsByStore.get(getState)
+}
+
+// Query params that request a page of resources, according to the `paginate` option
+const getPageQueryParams = ({
+  cursorParam, firstPage, offsetParam, pageParam, pageSize, pageSizeParam, paginate,
+}, { cursor, page }) => {
+  const sizeParams = pageSize ? { [pageSizeParam]: pageSize } : {}
+  if (paginate === 'page') {
+    return { ...sizeParams, [pageParam]: page }
+  }
+  if (paginate === 'offset') {
+    return { ...sizeParams, [offsetParam]: (page - firstPage) * pageSize }
+  }
+  if (paginate === 'cursor' && cursor !== null && cursor !== undefined) {
+    return { ...sizeParams, [cursorParam]: cursor }
+  }
+  return paginate ? sizeParams : {}
+}
 
 export const defaultOptions = {
+  abortStaleGets: false,
+  appendPages: true,
+  cacheQueries: false,
+  cacheTime: null,
+  cursorParam: 'cursor',
   debug: false,
+  firstPage: 1,
+  getQueryKey: (options, params) => toQueryKey(params),
+  /**
+   * @description
+   * The default translation of a paginated GET response to a page of resources.  Expects the
+   * response data to either be the Array of resources, or an object like
+   * { data, hasMore, nextCursor }
+   * @param {object} options  Same options passed to `getResources`
+   * @param {object} response The response from `getFunc`
+   *
+   * @return {object}         An object with keys:
+   *                            - {Array} data - The resources in this page
+   *                            - {boolean} hasMore - (Optional) Whether there are more pages
+   *                            - {any} nextCursor - (Optional) Cursor of the next page
+   */
+  getResponseToPage: (options, { data }) => (data instanceof Array ? { data } : data),
   handleGetSuccess: Function.prototype,
+  isRetryable: defaultRetryOptions.isRetryable,
   namespaceSeparator: '/',
+  offsetParam: 'offset',
+  pageParam: 'page',
+  pageSize: null,
+  pageSizeParam: 'limit',
+  paginate: null,
+  relations: null,
+  staleTime: 0,
 }
 
 /**
@@ -12,23 +84,111 @@ export const defaultOptions = {
  * Redux thunk action that fetches a reource, using query params to request that the API
  * narrow down results
  *
+ * Only the most recently started GET for a namespace is allowed to populate state.  Responses
+ * to GETs that have since been superseded are ignored by our reducers, and `handleGetSuccess`
+ * is not called for them.
+ *
  * @param {object} namespace        Supplied to generateActions: Redux namespace
  * @param {string} endpoint         Supplied by generateActions: Api endpoint  Ex: '/products'
  * @param {object} options          Supplied by generateActions: Options
  *
+ *                                    - {boolean} abortStaleGets - (Defaults to `false`) Set to
+ *                                      `true` to abort a GET when a newer one starts.  An
+ *                                      AbortSignal is then passed to `getFunc` as `signal`
+ *                                      alongside `params`
+ *
+ *                                    - {boolean} appendPages - (Defaults to `true`) When
+ *                                      paginating, whether pages fetched by `getNextPage` are
+ *                                      appended to the resources already in state, for infinite
+ *                                      scrolling.  Set to `false` to replace them instead.
+ *
+ *                                    - {boolean} cacheQueries - (Defaults to `false`) Set to
+ *                                      `true` to keep the results of each query separately in
+ *                                      `queries`, indexed by a key derived from its params, so
+ *                                      switching between queries doesn't discard results.  The
+ *                                      resources themselves are still shared in `data`.
+ *
+ *                                    - {number} cacheTime - (Defaults to `null`) When
+ *                                      `cacheQueries` is `true`, the number of milliseconds after
+ *                                      which the results of a query that isn't being fetched are
+ *                                      forgotten.  They are only forgotten when another GET
+ *                                      starts or succeeds, not on a timer, and the resources
+ *                                      stay in `data`.  `null` keeps them.
+ *
+ *                                    - {string} cursorParam - (Defaults to 'cursor') Query param
+ *                                      for the cursor when `paginate` is 'cursor'
+ *
+ *                                    - {number} firstPage - (Defaults to 1) Number of the first
+ *                                      page when `paginate` is 'page' or 'offset'
+ *
  *                                    - {function} getFunc - (Required) A function that accepts
- *                                      the arguments (endpoint, params) and returns a Promise.
- *                                      Compatible with `axios` package.
+ *                                      the arguments (endpoint, { params, signal }) and returns a
+ *                                      Promise.  Compatible with `axios` package.
+ *
+ *                                    - {function} getPathParams - (Optional) A function that
+ *                                      accepts the arguments (options, getState) and returns
+ *                                      values for templated segments of the endpoint, like
+ *                                      ':campaignId'.  See `../endpoints.js`
+ *
+ *                                    - {function} getQueryKey - (Defaults to a function that
+ *                                      serializes the params) When `cacheQueries` is `true`, a
+ *                                      function that accepts the arguments (options, params) and
+ *                                      returns a string key for the query
+ *
+ *                                    - {function} getResponseToPage - (Defaults to a function that
+ *                                      accepts response data that is either an Array of resources
+ *                                      or an object like { data, hasMore, nextCursor }) When
+ *                                      paginating, a function that accepts the arguments
+ *                                      (options, response) and returns an object like
+ *                                      { data, hasMore, nextCursor }.  If `hasMore` isn't given,
+ *                                      it is inferred from `nextCursor` or the page's size.
  *
  *                                    - {function} handleGetSuccess - (Optional) Accepts arguments
  *                                      (response, params, dispatch, getState) and allows you
  *                                      to perform another task on GET success, including
  *                                      dispatching other actions
  *
+ *                                    - {number} maxAttempts - (Defaults to 1) The number of
+ *                                      times each GET request is attempted before it fails.
+ *                                      See `../retry.js` for the other retry options
+ *
  *                                    - {string} namespaceSeparator - (Defaults to '/')
  *                                      Separator between the namespace and the action type name
  *
- * @param {object} params         Query parameters
+ *                                    - {string} offsetParam - (Defaults to 'offset') Query param
+ *                                      for the offset when `paginate` is 'offset'
+ *
+ *                                    - {string} pageParam - (Defaults to 'page') Query param for
+ *                                      the page number when `paginate` is 'page'
+ *
+ *                                    - {number} pageSize - (Optional; Required when `paginate` is
+ *                                      'offset') Number of resources to request per page
+ *
+ *                                    - {string} pageSizeParam - (Defaults to 'limit') Query param
+ *                                      for `pageSize`
+ *
+ *                                    - {string} paginate - (Defaults to `null`) Set to 'page',
+ *                                      'offset' or 'cursor' to fetch resources a page at a time.
+ *                                      `getResources` fetches the first page, and `getNextPage`
+ *                                      fetches the next one with the same params.
+ *
+ *                                    - {object} relations - (Defaults to `null`) Describes
+ *                                      related resources nested within each resource (see
+ *                                      `../normalize.js`).  They are merged into their own slices
+ *                                      and replaced by their IDs before being stored in this one.
+ *
+ *                                    - {number} staleTime - (Defaults to 0) The number of
+ *                                      milliseconds after a GET succeeds that its results are
+ *                                      considered fresh.  `fetchIfStale` won't GET them again
+ *                                      while they are fresh.
+ *
+ * @param {object} params         Query parameters, including values for templated segments of
+ *                                the endpoint, which are left out of the query string
+ * @param {object} pageRequest    (Optional) Used by `getNextPage`: The page to fetch, as
+ *                                { append, cursor, page }
+ *
+ * @return {Promise}              Resolves with a summary of the request's outcome once the GET
+ *                                has concluded (see `summarizeRequestOutcomes`)
  */
 function getResources(
   namespace,
@@ -36,6 +196,7 @@ function getResources(
   options,
   // params specific to this action
   params,
+  pageRequest = {},
 ) {
   return async (dispatch, getState) => {
     const computedOptions = {
@@ -44,10 +205,20 @@ function getResources(
       ...(options || {}).GET,
     }
     const {
+      abortStaleGets,
+      cacheQueries,
+      cacheTime,
       debug,
+      firstPage,
       getFunc,
+      getQueryKey,
+      getResponseToPage,
       handleGetSuccess,
+      isRetryable,
       namespaceSeparator,
+      pageSize,
+      paginate,
+      relations,
     } = computedOptions
     const debugLog = createDebugLog(debug)
     debugLog('DEBUG autoReduxApi: `getResources` (1 of 1) arguments:', {
@@ -56,28 +227,271 @@ function getResources(
     if (typeof getFunc !== 'function') {
       throw new Error('In `autoReduxApi`, `getFunc` not specified; Must be a function')
     }
+    if (paginate && !R.contains(paginate, ['page', 'offset', 'cursor'])) {
+      throw new Error(
+        `In \`autoReduxApi\`, \`paginate\` must be 'page', 'offset' or 'cursor'; Supplied value: ${
+          JSON.stringify(paginate)}`,
+      )
+    }
+    if (paginate === 'offset' && !pageSize) {
+      throw new Error('In `autoReduxApi`, `pageSize` must be specified when `paginate` is \'offset\'')
+    }
     const getActionType = phase => `${namespace}${namespaceSeparator}PESS_GET_${phase}`
+    // params that fill in the endpoint's templated segments aren't sent in the query string
+    const collectionEndpoint = getCollectionEndpoint(computedOptions, endpoint)
+    const url = resolveEndpoint(collectionEndpoint, computedOptions, getState, params)
+    const queryParams = params && R.omit(getPathParamNames(collectionEndpoint), params)
+
+    // supersede any GET still in progress for this namespace and query
+    const queryKey = cacheQueries ? getQueryKey(computedOptions, params) : undefined
+    const latestGetKey = JSON.stringify([toSliceKey(namespace, computedOptions), queryKey])
+    const requestId = getNextRequestId()
+    const latestGets = getLatestGets(getState)
+    const previousGet = latestGets[latestGetKey]
+    if (abortStaleGets && previousGet && previousGet.abortController) {
+      previousGet.abortController.abort()
+    }
+    const abortController = abortStaleGets && typeof AbortController === 'function'
+      ? new AbortController()
+      : null
+    latestGets[latestGetKey] = {
+      abortController, paramsKey: toQueryKey(params), promise: null, requestId,
+    }
+    const isStale = () => (latestGets[latestGetKey] || {}).requestId !== requestId
+    const forget = () => {
+      if (!isStale()) {
+        delete latestGets[latestGetKey]
+      }
+    }
+
+    const page = paginate
+      ? {
+        append: false, cursor: null, page: firstPage, ...pageRequest,
+      }
+      : undefined
+    const requestParams = paginate
+      ? { ...queryParams, ...getPageQueryParams(computedOptions, page) }
+      : queryParams
+
     dispatch({
+      cacheTime,
+      page,
       params,
+      queryKey,
+      requestId,
+      startedAt: Date.now(),
       type: getActionType('START'),
     })
-    try {
-      const response = await getFunc(endpoint, { params })
+    // kept with the latest GET, so `fetchIfStale` can wait on it instead of GETting again
+    const request = (async () => {
+      // only the request itself is guarded, so an error of a reducer or of `handleGetSuccess`
+      // isn't taken for a failed GET
+      let response
+      try {
+        response = await withRetries(
+          () => getFunc(
+            url,
+            abortController
+              ? { params: requestParams, signal: abortController.signal }
+              : { params: requestParams },
+          ),
+          {
+            ...computedOptions,
+            // a superseded GET isn't worth retrying
+            isRetryable: (...args) => !isStale() && isRetryable(...args),
+          },
+          retry => dispatch({
+            ...retry,
+            page,
+            params,
+            queryKey,
+            requestId,
+            type: getActionType('RETRY'),
+          }),
+        )
+      } catch (error) {
+        const stale = isStale()
+        forget()
+        dispatch({
+          type: getActionType('FAIL'),
+          // for debugging
+          error,
+          page,
+          params,
+          queryKey,
+          requestId,
+        })
+        return summarizeRequestOutcomes([{
+          failures: [{ error, requestData: requestParams, stale }],
+          successes: [],
+        }])
+      }
+      const stale = isStale()
+      forget()
+      const { data: rawData, hasMore, nextCursor = null } = paginate
+        ? getResponseToPage(computedOptions, response)
+        : { data: response.data }
+      const {
+        relatedIdKeys, relatedResources, resources: data,
+      } = normalizeResources(relations || {}, rawData)
+      mergeRelatedResources(dispatch, namespaceSeparator, relatedResources, relatedIdKeys)
+      const inferredHasMore = paginate === 'cursor'
+        ? nextCursor !== null
+        : data.length > 0 && (!pageSize || data.length >= pageSize)
       dispatch({
         type: getActionType('SUCCESS'),
-        data: response.data,
-        // the following are for debugging
-        params,
-      })
-      handleGetSuccess(response, params, dispatch, getState)
-    } catch (error) {
-      dispatch({
-        type: getActionType('FAIL'),
-        // for debugging
-        error,
+        cacheTime,
+        data,
+        fetchedAt: Date.now(),
+        page: paginate
+          ? {
+            ...page,
+            hasMore: typeof hasMore === 'boolean' ? hasMore : inferredHasMore,
+            nextCursor,
+          }
+          : undefined,
         params,
+        queryKey,
+        requestId,
       })
+      if (!stale) {
+        handleGetSuccess(response, params, dispatch, getState)
+      }
+      return summarizeRequestOutcomes([{
+        failures: [],
+        successes: [{
+          data: response.data, requestData: requestParams, response, stale,
+        }],
+      }])
+    })()
+    latestGets[latestGetKey].promise = request
+    return request
+  }
+}
+
+
+/**
+ * @description
+ * Redux thunk action that fetches the page after the last one fetched by `getResources`, with
+ * the same params.  Does nothing if there are no more pages.
+ *
+ * @param {object} namespace  Supplied to generateActions: Redux namespace, which must also be
+ *                            where the resource's slice is in the Redux state
+ * @param {string} endpoint   Supplied by generateActions: Api endpoint  Ex: '/products'
+ * @param {object} options    Supplied by generateActions: Options; See `getResources`
+ * @param {object} params     (Optional) When `cacheQueries` is `true`, the params of the query
+ *                            to fetch the next page of.  Defaults to the params of the most
+ *                            recent GET.
+ *
+ * @return {Promise}          Resolves with a summary of the request's outcome once the GET has
+ *                            concluded (see `summarizeRequestOutcomes`)
+ */
+function getNextPage(namespace, endpoint, options, params) {
+  return async (dispatch, getState) => {
+    const computedOptions = {
+      ...defaultOptions,
+      ...options,
+      ...(options || {}).GET,
+    }
+    const {
+      appendPages, cacheQueries, getQueryKey, paginate,
+    } = computedOptions
+    if (!paginate) {
+      throw new Error('In `autoReduxApi`, `getNextPage` requires the `paginate` option')
+    }
+    const slice = getState()[namespace]
+    const queryParams = params === undefined ? slice.latestGetParams : params
+    const { pagination } = cacheQueries
+      ? { ...initialQueryState, ...slice.queries[getQueryKey(computedOptions, queryParams)] }
+      : slice
+    if (!pagination.hasMore) {
+      return summarizeRequestOutcomes([])
+    }
+    return getResources(namespace, endpoint, options, queryParams, {
+      append: appendPages,
+      cursor: pagination.nextCursor,
+      page: pagination.page + 1,
+    })(dispatch, getState)
+  }
+}
+
+
+/**
+ * @description
+ * Redux thunk action that GETs resources like `getResources` does, but only if the results for
+ * the given params are stale.  Results are stale if they were never fetched, if `staleTime`
+ * has passed since they were fetched, or if they were invalidated.  If the same GET is already
+ * in progress, this waits for it instead of GETting again.
+ *
+ * @param {object} namespace  Supplied to generateActions: Redux namespace, which must also be
+ *                            where the resource's slice is in the Redux state
+ * @param {string} endpoint   Supplied by generateActions: Api endpoint  Ex: '/products'
+ * @param {object} options    Supplied by generateActions: Options; See `getResources`
+ * @param {object} params     Query parameters
+ *
+ * @return {Promise}          Resolves with a summary of the request's outcome once the GET has
+ *                            concluded, or with a summary of no requests if the results were
+ *                            fresh (see `summarizeRequestOutcomes`)
+ */
+function fetchIfStale(namespace, endpoint, options, params) {
+  return async (dispatch, getState) => {
+    const computedOptions = {
+      ...defaultOptions,
+      ...options,
+      ...(options || {}).GET,
     }
+    const { cacheQueries, getQueryKey, staleTime } = computedOptions
+    const queryKey = cacheQueries ? getQueryKey(computedOptions, params) : undefined
+    const latestGetKey = JSON.stringify([toSliceKey(namespace, computedOptions), queryKey])
+    const inProgress = getLatestGets(getState)[latestGetKey]
+    if (inProgress && inProgress.promise && inProgress.paramsKey === toQueryKey(params)) {
+      return inProgress.promise
+    }
+    const slice = getState()[namespace]
+    const resultsState = cacheQueries
+      ? { ...initialQueryState, ...slice.queries[queryKey] }
+      : slice
+    const isFresh = resultsState.getSucceeded
+      && !resultsState.didInvalidate
+      && (cacheQueries || toQueryKey(slice.dataParams) === toQueryKey(params))
+      && Date.now() - resultsState.lastFetchedAt < staleTime
+    if (isFresh) {
+      return summarizeRequestOutcomes([])
+    }
+    return getResources(namespace, endpoint, options, params)(dispatch, getState)
   }
 }
-export default { getResources }
+
+
+/**
+ * @description
+ * Redux thunk action that marks GET results as stale without clearing them, so the next
+ * `fetchIfStale` GETs them again
+ *
+ * @param {object} namespace  Supplied to generateActions: Redux namespace
+ * @param {string} endpoint   Supplied by generateActions: Api endpoint  Ex: '/products'
+ * @param {object} options    Supplied by generateActions: Options; See `getResources`
+ * @param {object} params     (Optional) When `cacheQueries` is `true`, the params of the query
+ *                            to invalidate.  If not given, all results are invalidated.
+ */
+function invalidate(namespace, endpoint, options, params) {
+  return async (dispatch) => {
+    const computedOptions = {
+      ...defaultOptions,
+      ...options,
+      ...(options || {}).GET,
+    }
+    const { cacheQueries, getQueryKey, namespaceSeparator } = computedOptions
+    dispatch({
+      queryKey: cacheQueries && params !== undefined
+        ? getQueryKey(computedOptions, params)
+        : undefined,
+      type: `${namespace}${namespaceSeparator}PESS_GET_INVALIDATE`,
+    })
+  }
+}
+
+
+export default {
+  fetchIfStale, getNextPage, getResources, invalidate,
+}
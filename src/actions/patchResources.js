@@ -1,7 +1,15 @@
 import * as R from 'ramda'
 
+import {
+  canResolveResourcesEndpoint,
+  resolveResourcesEndpoint,
+  withRequestPerResource,
+} from '../endpoints'
 import { mapIndexed } from '../functional'
-import { createDebugLog } from '../utils'
+import { toSliceKey } from '../nested'
+import { queueMutation, shouldQueue } from '../offlineQueue'
+import { withRetries } from '../retry'
+import { createDebugLog, getNextMutationId, summarizeRequestOutcomes } from '../utils'
 
 
 /**
@@ -11,20 +19,318 @@ import { createDebugLog } from '../utils'
 export const defaultOptions = {
   debug: false,
   handlePatchFailure: Function.prototype,
+  idKey: 'id',
   namespaceSeparator: '/',
+  patchBatchWindow: null,
   patchOptimistic: true,
-  patchResponsesToData: (options, patchData = []) => patchData,
+  patchResponsesToData: (options, patchData = []) => ({
+    successData: patchData,
+    failureData: [],
+  }),
   patchTargetsToRequestDataArray: (
-    options,
+    { requestPerResource },
     targetResources,
     targetNewProperties,
-  ) => [mapIndexed( // Returns an array with one item: an array of resource patches
-    (target, i) => ({ ...target, ...targetNewProperties[i] }),
-    targetResources,
-  )],
-  patchRequestDataToDataArray: (options, requestData = []) => requestData,
+  ) => {
+    const patches = mapIndexed(
+      (target, i) => ({ ...target, ...targetNewProperties[i] }),
+      targetResources,
+    )
+    // Returns an array with one item: an array of resource patches, unless each is sent alone
+    return requestPerResource ? patches : [patches]
+  },
+  patchRequestDataToDataArray: (options, requestData = []) => (
+    requestData instanceof Array ? requestData : [requestData]
+  ),
+  serializePatches: false,
+  undoable: false,
 }
 
+// helpers
+const getPatchActionType = (namespace, { namespaceSeparator, patchOptimistic }, phase) => (
+  `${namespace}${namespaceSeparator}${patchOptimistic ? 'OPT' : 'PESS'}_PATCH_${phase}`
+)
+// The latest PATCH request of each resource of each store, so PATCHes of the same resource can
+// be serialized.  Stores are told apart by their `getState`.
+const latestPatchesByStore = new WeakMap()
+const serializePatch = (getState, sliceKey, ids, sendRequest) => {
+  if (!latestPatchesByStore.has(getState)) {
+    latestPatchesByStore.set(getState, {})
+  }
+  const latestPatches = latestPatchesByStore.get(getState)
+  const keys = R.map(id => JSON.stringify([sliceKey, id]), ids)
+  const request = Promise.all(R.map(key => latestPatches[key], keys)).then(sendRequest)
+  const concluded = request.then(Function.prototype, Function.prototype).then(() => {
+    R.forEach((key) => {
+      if (latestPatches[key] === concluded) {
+        delete latestPatches[key]
+      }
+    }, keys)
+  })
+  R.forEach((key) => {
+    latestPatches[key] = concluded
+  }, keys)
+  return request
+}
+// The batches of patches waiting to be sent together for each slice of each store, when
+// batching.  Stores are told apart by their `getState`.
+const patchBatchesByStore = new WeakMap()
+const getPatchBatches = (getState) => {
+  if (!patchBatchesByStore.has(getState)) {
+    patchBatchesByStore.set(getState, {})
+  }
+  return patchBatchesByStore.get(getState)
+}
+// Removes the batches of a slice that pass `isTaken` from those waiting, and returns them
+const takePatchBatches = (getState, sliceKey, isTaken) => {
+  const patchBatches = getPatchBatches(getState)
+  const [taken, left] = R.partition(isTaken, patchBatches[sliceKey] || [])
+  if (left.length) {
+    patchBatches[sliceKey] = left
+  } else {
+    delete patchBatches[sliceKey]
+  }
+  R.forEach(({ timer }) => clearTimeout(timer), taken)
+  return taken
+}
+// The part of the outcome of a batch that concerns the patches of one of its mutations
+const toPartOutcome = (idKey, { data }, outcome) => {
+  const partIds = R.map(R.prop(idKey), data)
+  const toPartItems = R.compose(
+    R.filter(item => item.data.length),
+    R.map(item => ({
+      ...item,
+      data: R.filter(patch => R.contains(patch[idKey], partIds), item.data),
+    })),
+  )
+  return {
+    failures: toPartItems(outcome.failures),
+    queued: toPartItems(outcome.queued),
+    successes: toPartItems(outcome.successes),
+  }
+}
+
+
+/**
+ * @description
+ * Redux thunk action that sends a single PATCH request, whose START action has already been
+ * dispatched, and dispatches its outcome.  Used by `patchResources`, and by `flushQueue` to
+ * replay requests that were queued while offline.
+ *
+ * @param {object} namespace      Redux namespace
+ * @param {string} endpoint       Api endpoint  Ex: '/products'
+ * @param {object} options        Options; See `patchResources`
+ * @param {object} mutation       The request to send, as { data, mutationId, requestData, url },
+ *                                where `url` is the endpoint with its templated segments filled
+ *                                in (see `../endpoints.js`).  A request batching several
+ *                                mutations (see `flushPatches`) has a `parts` Array of those
+ *                                mutations, as { data, mutationId }, and each of them gets its
+ *                                own RETRY, SUCCESS or FAIL actions.
+ * @param {boolean} isReplay      Whether the request is being replayed from the offline queue,
+ *                                in which case it stays queued if it fails for lack of
+ *                                connectivity again
+ *
+ * @return {Promise}              Resolves with the outcome of the request, like
+ *                                { failures, queued, successes }
+ */
+export function sendPatch(namespace, endpoint, options, mutation, isReplay = false) {
+  return async (dispatch, getState) => {
+    const computedOptions = {
+      ...defaultOptions,
+      ...options,
+      ...(options || {}).PATCH,
+    }
+    const {
+      debug,
+      handlePatchFailure,
+      idKey,
+      namespaceSeparator,
+      patchFunc,
+      patchResponsesToData,
+      serializePatches,
+    } = computedOptions
+    const {
+      data, mutationId, parts, requestData,
+    } = mutation
+    const url = mutation.url || resolveResourcesEndpoint(endpoint, computedOptions, getState, data)
+    const debugLog = createDebugLog(debug)
+    const getActionType = phase => getPatchActionType(namespace, computedOptions, phase)
+    const sliceKey = toSliceKey(namespace, computedOptions)
+    // dispatches an action for each part of a batched request, with the patches of that part
+    const dispatchForParts = (phase, phaseData, action) => R.forEach((part) => {
+      const partIds = R.map(R.prop(idKey), part.data)
+      const partData = parts
+        ? R.filter(patch => R.contains(patch[idKey], partIds), phaseData)
+        : phaseData
+      if (partData.length) {
+        dispatch({
+          ...action,
+          data: partData,
+          mutationId: part.mutationId,
+          requestData,
+          type: getActionType(phase),
+        })
+      }
+    }, parts || [{ data, mutationId }])
+    // handle error within this Redux slice in case rollbacks need to happen
+    const handleError = (failureData, error) => {
+      dispatchForParts('FAIL', failureData, { error })
+    }
+    const sendRequest = () => withRetries(
+      () => patchFunc(url, requestData),
+      computedOptions,
+      retry => dispatchForParts('RETRY', data, retry),
+    )
+    // only the request is guarded, so errors after the API has applied the patches aren't
+    // mistaken for a failed request
+    let response
+    try {
+      response = await (serializePatches
+        ? serializePatch(getState, sliceKey, R.map(R.prop(idKey), data), sendRequest)
+        : sendRequest())
+    } catch (error) {
+      if (shouldQueue(computedOptions, error)) {
+        // a replayed request keeps its place in the queue
+        if (!isReplay) {
+          dispatch(queueMutation(namespace, namespaceSeparator, 'PATCH', mutation, error))
+        }
+        return {
+          failures: [],
+          queued: [{ data, error, requestData }],
+          successes: [],
+        }
+      }
+      // full failure
+      handleError(data, error)
+      handlePatchFailure(computedOptions, error, requestData, null, dispatch, getState)
+      return {
+        failures: [{ data, error, requestData }],
+        successes: [],
+      }
+    }
+    const { successData, failureData } = patchResponsesToData(computedOptions, data, response)
+    debugLog('DEBUG autoReduxApi: `patchResources` (3 of 3)', { successData, failureData })
+
+    if (failureData.length) {
+      handleError(failureData, null)
+      handlePatchFailure(computedOptions, null, requestData, response, dispatch, getState)
+    }
+    if (successData.length) {
+      dispatchForParts('SUCCESS', successData, { responseData: response.data })
+    }
+    return {
+      failures: failureData.length
+        ? [{
+          data: failureData, error: null, requestData, response,
+        }]
+        : [],
+      successes: successData.length
+        ? [{ data: successData, requestData, response }]
+        : [],
+    }
+  }
+}
+
+
+// Sends a batch of patches that was taken from those waiting, and settles the promise of each
+// dispatch in it
+const sendPatchBatch = (namespace, batch) => async (dispatch, getState) => {
+  const { endpoint } = batch
+  const computedOptions = withRequestPerResource(endpoint, {
+    ...defaultOptions,
+    ...batch.options,
+    ...(batch.options || {}).PATCH,
+  })
+  const { idKey, patchRequestDataToDataArray, patchTargetsToRequestDataArray } = computedOptions
+  // every dispatch of the batch waits on its outcome, so none may be left pending
+  try {
+    // merge the patches of each resource, in the order the resources were first patched
+    const targetPairs = R.unnest(R.map(
+      ({ targetNewProperties, targetResources }) => R.zip(targetResources, targetNewProperties),
+      batch.parts,
+    ))
+    const ids = R.uniq(R.map(([target]) => target[idKey], targetPairs))
+    const pairsOfId = id => R.filter(([target]) => R.equals(target[idKey], id), targetPairs)
+    const requestDataObjs = patchTargetsToRequestDataArray(
+      computedOptions,
+      R.map(id => R.head(pairsOfId(id))[0], ids),
+      R.map(id => R.mergeAll(R.map(R.nth(1), pairsOfId(id))), ids),
+    )
+    const toPart = R.pick(['data', 'mutationId'])
+    const mergedRequests = R.map((requestData) => {
+      const data = patchRequestDataToDataArray(computedOptions, requestData)
+      return { data, parts: R.map(toPart, batch.parts), requestData }
+    }, R.values(requestDataObjs))
+    const canMerge = R.all(
+      ({ data }) => canResolveResourcesEndpoint(endpoint, computedOptions, getState, data),
+      mergedRequests,
+    )
+    // unless the merged patches share values for the endpoint's templated segments, the
+    // requests of each dispatch are sent as they would have been without batching
+    const requests = canMerge
+      ? R.map(request => ({
+        ...request,
+        url: resolveResourcesEndpoint(endpoint, computedOptions, getState, request.data),
+      }), mergedRequests)
+      : R.unnest(R.map(
+        part => R.map(request => ({ ...request, parts: [toPart(part)] }), part.requests),
+        batch.parts,
+      ))
+    const outcome = summarizeRequestOutcomes(await Promise.all(R.map(
+      request => sendPatch(namespace, endpoint, batch.options, request)(dispatch, getState),
+      requests,
+    )))
+    R.forEach((part) => {
+      part.resolve(summarizeRequestOutcomes([toPartOutcome(idKey, part, outcome)]))
+    }, batch.parts)
+    return outcome
+  } catch (error) {
+    R.forEach(part => part.reject(error), batch.parts)
+    throw error
+  }
+}
+
+
+/**
+ * @description
+ * Redux thunk action that sends the patches collected by `patchResources` when batching (see
+ * its `patchBatchWindow` option) without waiting for the rest of the window.  The patches of
+ * each resource are merged, in the order they were dispatched, and sent through
+ * `patchTargetsToRequestDataArray` together.  The promise of each `patchResources` dispatch in
+ * the batch resolves with the part of the outcome that concerns its own patches, or rejects
+ * with the error if the batch couldn't be sent.
+ *
+ * Only patches dispatched to the same store with the same endpoint and options are batched
+ * together, so each is sent with the options it was dispatched with.  All of the slice's
+ * batches are sent, whatever their options.
+ *
+ * @param {object} namespace      Supplied to generateActions: Redux namespace
+ * @param {string} endpoint       Supplied by generateActions: Api endpoint  Ex: '/products'
+ * @param {object} options        Supplied by generateActions: Options; See `patchResources`
+ *
+ * @return {Promise}              Resolves with a summary of the outcome of every PATCH request
+ *                                of the batches once they have all concluded, or with a summary
+ *                                of no requests if nothing was batched (see
+ *                                `summarizeRequestOutcomes`).  Rejects if the requests of a
+ *                                batch couldn't be built, like when
+ *                                `patchTargetsToRequestDataArray` throws
+ */
+function flushPatches(namespace, endpoint, options) {
+  return async (dispatch, getState) => {
+    const computedOptions = withRequestPerResource(endpoint, {
+      ...defaultOptions,
+      ...options,
+      ...(options || {}).PATCH,
+    })
+    const batches = takePatchBatches(getState, toSliceKey(namespace, computedOptions), R.T)
+    return summarizeRequestOutcomes(await Promise.all(R.map(
+      batch => sendPatchBatch(namespace, batch)(dispatch, getState),
+      batches,
+    )))
+  }
+}
+
+
 /**
  * @description
  * Redux thunk action that accepts a single resource and new properties to patch it with
@@ -36,6 +342,18 @@ export const defaultOptions = {
  *                                  - {boolean} debug - Set to `true` if you wish to see debug
  *                                    messages associated with your resources patching
  *
+ *                                  - {string} idKey - (Defaults to 'id') The key of the
+ *                                    resource's identifying property
+ *
+ *                                  - {number} maxAttempts - (Defaults to 1) The number of
+ *                                    times each PATCH request is attempted before it fails.
+ *                                    See `../retry.js` for the other retry options
+ *
+ *                                  - {boolean} queueOffline - (Defaults to `false`) Set
+ *                                    to `true` to queue PATCH requests that fail for lack of
+ *                                    connectivity until `flushQueue` replays them.  See
+ *                                    `../offlineQueue.js` for the other queue options
+ *
  *                                  - {string} namespaceSeparator - (Defaults to '/')
  *                                    Separator between the namespace and the action type name
  *
@@ -50,9 +368,25 @@ export const defaultOptions = {
  *                                          state from the Redux store
  *                                      Any values returned by this function will be ignored
  *
+ *                                  - {function} getPathParams - (Optional) A function that
+ *                                    accepts the arguments (options, getState) and returns
+ *                                    values for templated segments of the endpoint that the
+ *                                    patched resources don't have.  See `../endpoints.js`
+ *
  *                                  - {function} patchFunc - (Required) A function that accepts
  *                                    the arguments (endpoint, params) and returns a Promise
  *
+ *                                  - {number} patchBatchWindow - (Defaults to `null`) The
+ *                                    number of milliseconds during which patches are collected
+ *                                    to be sent together, starting when the first one is
+ *                                    dispatched.  Set to `Infinity` to collect them until
+ *                                    `flushPatches` is dispatched.  `null` sends each dispatch's
+ *                                    patches right away.  Batched patches are applied to state
+ *                                    when dispatched, but are merged per resource and sent
+ *                                    through `patchTargetsToRequestDataArray` together.  Only
+ *                                    patches dispatched to the same store with the same
+ *                                    endpoint and options are batched together.
+ *
  *                                  - {boolean} patchOptimistic - (Defaults to `true`) Set to
  *                                    `false` if the PATCH should be pessimistic
  *
@@ -76,7 +410,8 @@ export const defaultOptions = {
  *
  *                                  - {function} patchTargetsToRequestDataArray - (Defaults to
  *                                    a function that returns a single Array of resource patch
- *                                    objects)
+ *                                    objects, or each patch object on its own when
+ *                                    `requestPerResource` is `true`)
  *                                      A function that accepts arguments:
  *                                        - {object} options - Same options passed to this function,
  *                                          which can be extended when calling `generateActions`
@@ -89,11 +424,26 @@ export const defaultOptions = {
  *                                      any number of PATCH requests to the API
  *
  *                                  - {function} patchRequestDataToDataArray - (Defaults to a
- *                                    a function that returns the request data, unchanged)
+ *                                    a function that returns the request data, in an Array if it
+ *                                    is a single patch object)
  *                                      A function that accepts arguments:
  *                                        - {object} options - Same options passed to this function
  *                                        - {any} requestData - Request data for a single request
  *
+ *                                  - {boolean} requestPerResource - (Defaults to whether the
+ *                                    endpoint ends with a segment for the ID, like
+ *                                    '/products/:id') Set to `true` to send each resource's
+ *                                    patch in its own request, to the resource's URL
+ *
+ *                                  - {boolean} serializePatches - (Defaults to `false`) Set to
+ *                                    `true` to wait for any PATCH request of a resource to
+ *                                    conclude before sending another PATCH request of it, so
+ *                                    the API receives the patches in the order they were made
+ *
+ *                                  - {boolean} undoable - (Defaults to `false`) Set to `true` to
+ *                                    record optimistic patches in the slice's undo history, so
+ *                                    they can be undone by `undo`
+ *
  *
  * @param {object} curResources   Supplied when dispatched: A resource or an array of resources
  *                                to be modified.  Should entire resource object, not just IDs.
@@ -102,6 +452,9 @@ export const defaultOptions = {
  *                                in the `curResources` object or array.  Indexes match up
  *                                with `curResources` to dictate which resources are updated
  *                                with what new properties.
+ *
+ * @return {Promise}              Resolves with a summary of the outcome of every PATCH request
+ *                                once they have all concluded (see `summarizeRequestOutcomes`)
  */
 function patchResources(
   namespace,
@@ -112,20 +465,18 @@ function patchResources(
   newProperties,
 ) {
   return async (dispatch, getState) => {
-    const computedOptions = {
+    const computedOptions = withRequestPerResource(endpoint, {
       ...defaultOptions,
       ...options,
       ...(options || {}).PATCH,
-    }
+    })
     const {
       debug,
-      handlePatchFailure,
-      namespaceSeparator,
+      patchBatchWindow,
       patchFunc,
-      patchOptimistic,
       patchRequestDataToDataArray,
-      patchResponsesToData,
       patchTargetsToRequestDataArray,
+      undoable,
     } = computedOptions
     const debugLog = createDebugLog(debug)
     debugLog('DEBUG autoReduxApi: `patchResources` (1 of 3) arguments:', {
@@ -134,10 +485,7 @@ function patchResources(
     if (typeof patchFunc !== 'function') {
       throw new Error('In `autoReduxApi`, `patchFunc` not specified; Must be a function')
     }
-    const getActionType = phase => `${namespace}${namespaceSeparator}${patchOptimistic
-      ? 'OPT'
-      : 'PESS'
-    }_PATCH_${phase}`
+    const getActionType = phase => getPatchActionType(namespace, computedOptions, phase)
     const targetResources = curResources instanceof Array ? curResources : [curResources]
     const targetNewProperties = curResources instanceof Array ? newProperties : [newProperties]
 
@@ -145,39 +493,56 @@ function patchResources(
       computedOptions, targetResources, targetNewProperties,
     )
     debugLog('DEBUG autoReduxApi: `patchResources` (2 of 3) computedValues:', { requestDataObjs })
-
-    R.forEach(async (requestData) => {
+    const requests = R.map((requestData) => {
       const data = patchRequestDataToDataArray(computedOptions, requestData)
-      dispatch({ data, requestData, type: getActionType('START') })
-      // handle error within this Redux slice in case rollbacks need to happen
-      const handleError = (failureData, error, requestData) => {
-        dispatch({
-          data: failureData, error, requestData, type: getActionType('FAIL'),
-        })
-      }
-      try {
-        const response = await patchFunc(endpoint, requestData)
-        const { successData, failureData } = patchResponsesToData(computedOptions, data, response)
-        debugLog('DEBUG autoReduxApi: `patchResources` (3 of 3)', { successData, failureData })
-
-        if (failureData.length) {
-          handleError(failureData, null, requestData)
-          handlePatchFailure(computedOptions, null, requestData, response, dispatch, getState)
-        }
-        if (successData.length) {
-          dispatch({
-            data: successData,
-            requestData,
-            responseData: response.data,
-            type: getActionType('SUCCESS'),
-          })
-        }
-      } catch (error) {
-        // full failure
-        handleError(data, error)
-        handlePatchFailure(computedOptions, error, requestData, null, dispatch, getState)
+      return {
+        data,
+        requestData,
+        url: resolveResourcesEndpoint(endpoint, computedOptions, getState, data),
       }
     }, R.values(requestDataObjs))
+
+    if (patchBatchWindow !== null && patchBatchWindow !== undefined) {
+      const sliceKey = toSliceKey(namespace, computedOptions)
+      const data = R.unnest(R.map(R.prop('data'), requests))
+      const mutationId = getNextMutationId()
+      dispatch({
+        data, mutationId, type: getActionType('START'), undoable,
+      })
+      return new Promise((resolve, reject) => {
+        const patchBatches = getPatchBatches(getState)
+        const isSameBatch = batch => batch.endpoint === endpoint
+          && R.equals(batch.options, options)
+        let batch = R.find(isSameBatch, patchBatches[sliceKey] || [])
+        if (!batch) {
+          batch = { endpoint, options, parts: [] }
+          batch.timer = Number.isFinite(patchBatchWindow)
+            ? setTimeout(() => {
+              const [timedBatch] = takePatchBatches(getState, sliceKey, R.identical(batch))
+              // the dispatches of the batch reject with any error of sending it
+              if (timedBatch) {
+                sendPatchBatch(namespace, timedBatch)(dispatch, getState).catch(Function.prototype)
+              }
+            }, patchBatchWindow)
+            : null
+          patchBatches[sliceKey] = [...(patchBatches[sliceKey] || []), batch]
+        }
+        batch.parts.push({
+          data, mutationId, reject, requests, resolve, targetNewProperties, targetResources,
+        })
+      })
+    }
+
+    const requestOutcomes = await Promise.all(R.map(({ data, requestData, url }) => {
+      const mutationId = getNextMutationId()
+      dispatch({
+        data, mutationId, requestData, type: getActionType('START'), undoable,
+      })
+      return sendPatch(namespace, endpoint, options, {
+        data, mutationId, requestData, url,
+      })(dispatch, getState)
+    }, requests))
+    return summarizeRequestOutcomes(requestOutcomes)
   }
 }
-export default { patchResources }
+export default { flushPatches, patchResources }
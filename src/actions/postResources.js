@@ -1,7 +1,10 @@
 import * as R from 'ramda'
 
+import { getCollectionEndpoint, resolveResourcesEndpoint } from '../endpoints'
 import { mapIndexed } from '../functional'
-import { createDebugLog } from '../utils'
+import { queueMutation, shouldQueue } from '../offlineQueue'
+import { withRetries } from '../retry'
+import { createDebugLog, summarizeRequestOutcomes } from '../utils'
 
 
 // helpers
@@ -18,14 +21,16 @@ const getFakeIdStr = () => {
 export const defaultOptions = {
   handlePatchFailure: Function.prototype,
   idKey: 'id',
+  insertPosition: null,
   namespaceSeparator: '/',
   newResourceCombiner: ({ idKey }, newResource, apiResponseResource) => ({
     ...newResource,
     [idKey]: String(apiResponseResource[idKey]),
   }),
   postOptimistic: true,
+  // each resource gets its own temporary ID until the API responds with its real one
   postRequestDataToDataArray: ({ idKey }, rawResources, requestData) => R.map(
-    R.assoc(idKey, getFakeIdStr()),
+    resource => R.assoc(idKey, getFakeIdStr(), resource),
     requestData,
   ),
   postResponsesToData: ({ idKey }, data = [], response = []) => ({
@@ -34,13 +39,135 @@ export const defaultOptions = {
         ...data[i],
         [idKey]: resourceResponse[idKey],
       }),
-      response,
+      // accept either an `axios`-like response or the Array of created resources itself
+      response instanceof Array ? response : response.data,
     ),
     failureData: [],
   }),
-  postResourcesToRequestDataArray: (options, newResources) => newResources,
+  // Returns an array with one item: the array of new resources
+  postResourcesToRequestDataArray: (options, newResources) => [newResources],
 }
 
+// helpers
+const getPostActionType = (namespace, { namespaceSeparator, postOptimistic }, phase) => (
+  `${namespace}${namespaceSeparator}${postOptimistic ? 'OPT' : 'PESS'}_POST_${phase}`
+)
+
+
+/**
+ * @description
+ * Redux thunk action that sends a single POST request, whose START action has already been
+ * dispatched, and dispatches its outcome.  Used by `postResources`, and by `flushQueue` to
+ * replay requests that were queued while offline.
+ *
+ * @param {object} namespace      Redux namespace
+ * @param {string} endpoint       Api endpoint  Ex: '/products'
+ * @param {object} options        Options; See `postResources`
+ * @param {object} mutation       The request to send, as { data, position, requestData, url },
+ *                                where `url` is the endpoint with its templated segments filled
+ *                                in (see `../endpoints.js`) and `position` is where the new
+ *                                resources go in `order`
+ * @param {boolean} isReplay      Whether the request is being replayed from the offline queue,
+ *                                in which case it stays queued if it fails for lack of
+ *                                connectivity again
+ *
+ * @return {Promise}              Resolves with the outcome of the request, like
+ *                                { failures, queued, successes }
+ */
+export function sendPost(namespace, endpoint, options, mutation, isReplay = false) {
+  return async (dispatch, getState) => {
+    const computedOptions = {
+      ...defaultOptions,
+      ...options,
+      ...(options || {}).POST,
+    }
+    const {
+      debug,
+      handlePatchFailure,
+      namespaceSeparator,
+      postFunc,
+      postResponsesToData,
+    } = computedOptions
+    const { data, position, requestData } = mutation
+    const url = mutation.url || resolveResourcesEndpoint(
+      getCollectionEndpoint(computedOptions, endpoint), computedOptions, getState, data,
+    )
+    const debugLog = createDebugLog(debug)
+    const getActionType = phase => getPostActionType(namespace, computedOptions, phase)
+
+    // error handling helper
+    const handleError = (failureData, error, partialFailure = false) => {
+      dispatch({
+        data: failureData,
+        error,
+        partialFailure,
+        pendingData: data,
+        requestData,
+        type: getActionType('FAIL'),
+      })
+    }
+
+    // only the request itself is guarded, since an error once the API has created the resources
+    // mustn't be mistaken for a failed request, which could be queued and create them again
+    let response
+    try {
+      response = await withRetries(
+        () => postFunc(url, requestData),
+        computedOptions,
+        retry => dispatch({
+          ...retry, data, requestData, type: getActionType('RETRY'),
+        }),
+      )
+    } catch (error) {
+      if (shouldQueue(computedOptions, error)) {
+        // a replayed request keeps its place in the queue
+        if (!isReplay) {
+          dispatch(queueMutation(namespace, namespaceSeparator, 'POST', mutation, error))
+        }
+        return {
+          failures: [],
+          queued: [{ data, error, requestData }],
+          successes: [],
+        }
+      }
+      handleError(data, error)
+      handlePatchFailure(computedOptions, error, requestData, null, dispatch, getState)
+      return {
+        failures: [{ data, error, requestData }],
+        successes: [],
+      }
+    }
+    const { successData, failureData } = postResponsesToData(computedOptions, data, response)
+    debugLog('DEBUG autoReduxApi: `postResources` (3 of 3)', { successData, failureData })
+
+    if (failureData.length) {
+      handleError(failureData, null, successData.length > 0)
+      handlePatchFailure(computedOptions, null, requestData, response, dispatch, getState)
+    }
+    if (successData.length) {
+      dispatch({
+        data: successData,
+        pendingData: data,
+        position,
+        requestData,
+        responseData: successData,
+        type: getActionType('SUCCESS'),
+      })
+    }
+    return {
+      failures: failureData.length
+        ? [{
+          data: failureData, error: null, requestData, response,
+        }]
+        : [],
+      successes: successData.length
+        ? [{ data: successData, requestData, response }]
+        : [],
+    }
+  }
+}
+
+
 /**
  * @description
  * Redux thunk action that accepts a single new resource to be created and attempts to create it
@@ -79,6 +206,28 @@ export const defaultOptions = {
  *
  *                                          Any returned value is ignored
  *
+ *                                      - {function} getPathParams - (Optional) A function that
+ *                                        accepts the arguments (options, getState) and returns
+ *                                        values for templated segments of the endpoint that the
+ *                                        new resources don't have.  A trailing segment for the
+ *                                        ID is left out of the URL.  See `../endpoints.js`
+ *
+ *                                      - {number|function} insertPosition - (Defaults to `null`)
+ *                                        Where new resources go in `order`: the index of the
+ *                                        first of them, or a function comparing two resources
+ *                                        like those given to `Array.prototype.sort`, to insert
+ *                                        each before the first resource it sorts before.  `null`
+ *                                        puts them at the end.
+ *
+ *                                      - {number} maxAttempts - (Defaults to 1) The number of
+ *                                        times each POST request is attempted before it fails.
+ *                                        See `../retry.js` for the other retry options
+ *
+ *                                      - {boolean} queueOffline - (Defaults to `false`) Set
+ *                                        to `true` to queue POST requests that fail for lack of
+ *                                        connectivity until `flushQueue` replays them.  See
+ *                                        `../offlineQueue.js` for the other queue options
+ *
  *                                      - {function} patchFunc - (Required) A function that accepts
  *                                        the arguments (endpoint, params) and returns a Promise
  *                                        that resolves with a response object
@@ -101,11 +250,16 @@ export const defaultOptions = {
  *                                              preferably containing data with the IDs of the newly
  *                                              craeted resources
  *
- *                                          Returns an Array of data to be recorded in our Redux
- *                                          state
+ *                                          Returns an object with `successData` and
+ *                                          `failureData` Arrays.  When posting optimistically,
+ *                                          `failureData` should keep the temporary IDs from
+ *                                          `postData`, and `successData` should be in the same
+ *                                          order as `postData` so the temporary IDs can be
+ *                                          swapped for the new IDs
  *
  *                                      - {function} postResourcesToRequestDataArray - (Defaults to
- *                                        a function that just returns the newResources argument)
+ *                                        a function that returns a single Array of the new
+ *                                        resources, so they are posted in one request)
  *                                          A function that accepts arguments:
  *
  *                                            - {object} options - Same options passed to
@@ -119,6 +273,12 @@ export const defaultOptions = {
  *
  * @param {Array} newResources      Supplied when dispatched: The new properties to patch the
  *                                  resource with
+ * @param {number|function} position
+ *                                  Supplied when dispatched: (Optional) Where the new resources
+ *                                  go in `order`, instead of the `insertPosition` option
+ *
+ * @return {Promise}                Resolves with a summary of the outcome of every POST request
+ *                                  once they have all concluded (see `summarizeRequestOutcomes`)
  */
 function postResources(
   namespace,
@@ -126,6 +286,7 @@ function postResources(
   options,
   // params specific to this action
   newResources,
+  position,
 ) {
   return async (dispatch, getState) => {
     const computedOptions = {
@@ -135,12 +296,9 @@ function postResources(
     }
     const {
       debug,
-      handlePatchFailure,
-      namespaceSeparator,
+      insertPosition,
       postFunc,
-      postOptimistic,
       postRequestDataToDataArray,
-      postResponsesToData,
       postResourcesToRequestDataArray,
     } = computedOptions
     const debugLog = createDebugLog(debug)
@@ -150,10 +308,7 @@ function postResources(
     if (typeof postFunc !== 'function') {
       throw new Error('In `autoReduxApi`, `postFunc` not specified; Must be a function')
     }
-    const getActionType = phase => `${namespace}${namespaceSeparator}${postOptimistic
-      ? 'OPT'
-      : 'PESS'
-    }_POST_${phase}`
+    const getActionType = phase => getPostActionType(namespace, computedOptions, phase)
 
     const rawResources = newResources instanceof Array ? newResources : [newResources]
     const requestDataObjs = postResourcesToRequestDataArray(computedOptions, rawResources)
@@ -161,42 +316,29 @@ function postResources(
       computedValues: { requestDataObjs },
     })
 
-    R.forEach(async (requestData) => {
+    // new resources are posted to the endpoint without a trailing segment for the ID
+    const collectionEndpoint = getCollectionEndpoint(computedOptions, endpoint)
+    const requests = R.map((requestData) => {
       // This data may optimistically contain IDs which won't be set to the server
       const data = postRequestDataToDataArray(computedOptions, rawResources, requestData)
-      dispatch({ data, requestData, type: getActionType('START') })
-
-      // error handling helper
-      const handleError = (failureData, error, requestData) => {
-        dispatch({
-          data: failureData, error, requestData, type: getActionType('FAIL'),
-        })
-      }
-
-      try {
-        const response = await postFunc(endpoint, requestData)
-        const { successData, failureData } = postResponsesToData(computedOptions, data, response)
-        debugLog('DEBUG autoReduxApi: `postResources` (3 of 3)', { successData, failureData })
-
-        if (failureData.length) {
-          handleError(failureData, null, requestData)
-          handlePatchFailure(computedOptions, null, requestData, response, dispatch, getState)
-        }
-        if (successData.length) {
-          dispatch({
-            data: successData,
-            requestData,
-            responseData: successData,
-            type: getActionType('SUCCESS'),
-          })
-        }
-      } catch (error) {
-        dispatch({
-          data, error, requestData, type: getActionType('FAIL'),
-        })
-        handlePatchFailure(computedOptions, error, requestData, null, dispatch, getState)
+      return {
+        data,
+        position: position === undefined ? insertPosition : position,
+        requestData,
+        url: resolveResourcesEndpoint(collectionEndpoint, computedOptions, getState, data),
       }
     }, R.values(requestDataObjs))
+
+    const requestOutcomes = await Promise.all(R.map((request) => {
+      dispatch({
+        data: request.data,
+        position: request.position,
+        requestData: request.requestData,
+        type: getActionType('START'),
+      })
+      return sendPost(namespace, endpoint, options, request)(dispatch, getState)
+    }, requests))
+    return summarizeRequestOutcomes(requestOutcomes)
   }
 }
 export default { postResources }
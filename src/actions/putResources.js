@@ -0,0 +1,225 @@
+import * as R from 'ramda'
+
+import { resolveResourcesEndpoint, withRequestPerResource } from '../endpoints'
+import { withRetries } from '../retry'
+import { createDebugLog, summarizeRequestOutcomes } from '../utils'
+
+
+/**
+ * If any of the following are not specified in `options` coming in to `putResources`, these
+ * defaults will be used
+ */
+export const defaultOptions = {
+  debug: false,
+  handlePutFailure: Function.prototype,
+  namespaceSeparator: '/',
+  putOptimistic: true,
+  putRequestDataToDataArray: (options, requestData = []) => (
+    requestData instanceof Array ? requestData : [requestData]
+  ),
+  putResponsesToData: (options, putData = []) => ({
+    successData: putData,
+    failureData: [],
+  }),
+  // Returns an array with one item: the array of replacement resources, unless each is sent alone
+  putTargetsToRequestDataArray: ({ requestPerResource }, replacementResources) => (
+    requestPerResource ? replacementResources : [replacementResources]
+  ),
+}
+
+/**
+ * @description
+ * Redux thunk action that accepts full replacements for existing resources and attempts to
+ * replace those resources in the API with a PUT.  Unlike a PATCH, resources are replaced
+ * wholesale in our state, so properties left out of a replacement are removed.
+ *
+ * @param {object} namespace        Supplied to generateActions: Redux namespace
+ * @param {string} endpoint         Supplied by generateActions: Api endpoint  Ex: '/products'
+ * @param {object} options          Supplied by generateActions: Options
+ *                                    - {boolean} debug - Set to `true` if you wish to see debug
+ *                                      messages associated with your resources being replaced
+ *
+ *                                    - {number} maxAttempts - (Defaults to 1) The number of
+ *                                      times each PUT request is attempted before it fails.
+ *                                      See `../retry.js` for the other retry options
+ *
+ *                                    - {string} namespaceSeparator - (Defaults to '/')
+ *                                      Separator between the namespace and the action type name
+ *
+ *                                    - {function} handlePutFailure - (Default to a noop)
+ *                                        A function that accepts arguments:
+ *                                          - {object} options - Same options passed to this
+ *                                            function
+ *                                          - {Error} error - The error that was thrown, if any
+ *                                          - {any} requestData - The data sent to the server in
+ *                                            the body of the `PUT` request
+ *                                          - {object} response - The response, if any
+ *                                          - {function} dispatch - The Redux `dispatch` function
+ *                                          - {function} getState - A function that gets the
+ *                                            current state from the Redux store
+ *                                        Any values returned by this function will be ignored
+ *
+ *                                    - {function} getPathParams - (Optional) A function that
+ *                                      accepts the arguments (options, getState) and returns
+ *                                      values for templated segments of the endpoint that the
+ *                                      replacement resources don't have.  See `../endpoints.js`
+ *
+ *                                    - {function} putFunc - (Required) A function that accepts
+ *                                      the arguments (endpoint, requestData) and returns a Promise
+ *
+ *                                    - {boolean} putOptimistic - (Defaults to `true`) Set to
+ *                                      `false` if the PUT should be pessimistic
+ *
+ *                                    - {function} putResponsesToData - (Defaults to a function
+ *                                      that considers all the replacements successful)
+ *                                        A function that accepts arguments:
+ *                                          - {object} options - Same options passed to this
+ *                                            function
+ *                                          - {Array} putData - The replacement resources
+ *                                          - {object} response - The API response
+ *                                        ...and returns an object with two keys:
+ *                                          - {Array} successData - The successful replacements
+ *                                          - {Array} failureData - The replacements that failed
+ *
+ *                                    - {boolean} requestPerResource - (Defaults to whether the
+ *                                      endpoint ends with a segment for the ID, like
+ *                                      '/products/:id') Set to `true` to send each replacement
+ *                                      resource in its own request, to the resource's URL
+ *
+ *                                    - {function} putTargetsToRequestDataArray - (Defaults to
+ *                                      a function that returns a single Array of the
+ *                                      replacement resources, or each of them on its own when
+ *                                      `requestPerResource` is `true`)
+ *                                        A function that accepts arguments:
+ *                                          - {object} options - Same options passed to this
+ *                                            function
+ *                                          - {Array} replacementResources - The replacement
+ *                                            resources
+ *                                        ...and returns an Array of values to be sent as the body
+ *                                        of any number of PUT requests to the API
+ *
+ *                                    - {function} putRequestDataToDataArray - (Defaults to a
+ *                                      function that returns the request data, in an Array if
+ *                                      it is a single resource)
+ *                                        A function that accepts arguments:
+ *                                          - {object} options - Same options passed to this
+ *                                            function
+ *                                          - {any} requestData - Request data for a single
+ *                                            request
+ *                                        ...and returns an Array of the replacement resources
+ *                                        in that request
+ *
+ * @param {object|Array} replacementResources
+ *                                  Supplied when dispatched: A resource or an array of
+ *                                  resources, each with the ID of the resource it replaces
+ *
+ * @return {Promise}                Resolves with a summary of the outcome of every PUT request
+ *                                  once they have all concluded (see `summarizeRequestOutcomes`)
+ */
+function putResources(
+  namespace,
+  endpoint,
+  options,
+  // params specific to this action
+  replacementResources,
+) {
+  return async (dispatch, getState) => {
+    const computedOptions = withRequestPerResource(endpoint, {
+      ...defaultOptions,
+      ...options,
+      ...(options || {}).PUT,
+    })
+    const {
+      debug,
+      handlePutFailure,
+      namespaceSeparator,
+      putFunc,
+      putOptimistic,
+      putRequestDataToDataArray,
+      putResponsesToData,
+      putTargetsToRequestDataArray,
+    } = computedOptions
+    const debugLog = createDebugLog(debug)
+    debugLog('DEBUG autoReduxApi: `putResources` (1 of 3) arguments:', {
+      namespace, endpoint, options, replacementResources, computedOptions,
+    })
+    if (typeof putFunc !== 'function') {
+      throw new Error('In `autoReduxApi`, `putFunc` not specified; Must be a function')
+    }
+    const getActionType = phase => `${namespace}${namespaceSeparator}${putOptimistic
+      ? 'OPT'
+      : 'PESS'
+    }_PUT_${phase}`
+    const targetResources = replacementResources instanceof Array
+      ? replacementResources
+      : [replacementResources]
+
+    const requestDataObjs = putTargetsToRequestDataArray(computedOptions, targetResources)
+    debugLog('DEBUG autoReduxApi: `putResources` (2 of 3) computedValues:', { requestDataObjs })
+    const requests = R.map((requestData) => {
+      const data = putRequestDataToDataArray(computedOptions, requestData)
+      return {
+        data,
+        requestData,
+        url: resolveResourcesEndpoint(endpoint, computedOptions, getState, data),
+      }
+    }, R.values(requestDataObjs))
+
+    const requestOutcomes = await Promise.all(R.map(async ({ data, requestData, url }) => {
+      dispatch({ data, requestData, type: getActionType('START') })
+      // handle error within this Redux slice in case rollbacks need to happen
+      const handleError = (failureData, error) => {
+        dispatch({
+          data: failureData, error, requestData, type: getActionType('FAIL'),
+        })
+      }
+      // only the request itself is guarded, so an error of a reducer or of a handler isn't
+      // taken for a failed PUT
+      let response
+      try {
+        response = await withRetries(
+          () => putFunc(url, requestData),
+          computedOptions,
+          retry => dispatch({
+            ...retry, data, requestData, type: getActionType('RETRY'),
+          }),
+        )
+      } catch (error) {
+        // full failure
+        handleError(data, error)
+        handlePutFailure(computedOptions, error, requestData, null, dispatch, getState)
+        return {
+          failures: [{ data, error, requestData }],
+          successes: [],
+        }
+      }
+      const { successData, failureData } = putResponsesToData(computedOptions, data, response)
+      debugLog('DEBUG autoReduxApi: `putResources` (3 of 3)', { successData, failureData })
+
+      if (failureData.length) {
+        handleError(failureData, null)
+        handlePutFailure(computedOptions, null, requestData, response, dispatch, getState)
+      }
+      if (successData.length) {
+        dispatch({
+          data: successData,
+          requestData,
+          responseData: response.data,
+          type: getActionType('SUCCESS'),
+        })
+      }
+      return {
+        failures: failureData.length
+          ? [{
+            data: failureData, error: null, requestData, response,
+          }]
+          : [],
+        successes: successData.length
+          ? [{ data: successData, requestData, response }]
+          : [],
+      }
+    }, requests))
+    return summarizeRequestOutcomes(requestOutcomes)
+  }
+}
+export default { putResources }
@@ -0,0 +1,172 @@
+import * as R from 'ramda'
+
+import { getCollectionEndpoint, resolveEndpoint } from '../endpoints'
+import { applyOrder } from '../reductions/order'
+import { withRetries } from '../retry'
+import { createDebugLog, summarizeRequestOutcomes } from '../utils'
+
+
+export const defaultOptions = {
+  debug: false,
+  handleReorderFailure: Function.prototype,
+  idKey: 'id',
+  namespaceSeparator: '/',
+  orderToRequestData: (options, order) => order,
+  reorderFunc: null,
+}
+
+// helpers
+const toId = (idKey, resourceOrId) => (
+  resourceOrId !== null && typeof resourceOrId === 'object' ? resourceOrId[idKey] : resourceOrId
+)
+
+
+/**
+ * @description
+ * Redux thunk action that arranges the resources in `order` optimistically, and saves their new
+ * order in the API if a `reorderFunc` is given.  If saving it fails, `order` is arranged as it
+ * was before, except for resources that were added or removed since.
+ *
+ * @param {object} namespace        Supplied to generateActions: Redux namespace, which must also
+ *                                  be where the resource's slice is in the Redux state
+ * @param {string} endpoint         Supplied by generateActions: Api endpoint  Ex: '/products'
+ * @param {object} options          Supplied by generateActions: Options
+ *
+ *                                    - {boolean} debug - Set to `true` to get debug messages
+ *
+ *                                    - {function} handleReorderFailure - (Defaults to a noop)
+ *                                      A function that accepts the arguments (options, error,
+ *                                      requestData, dispatch, getState), like for showing an
+ *                                      error to the user
+ *
+ *                                    - {string} idKey - (Defaults to 'id') The key of the
+ *                                      resource's identifying property
+ *
+ *                                    - {number} maxAttempts - (Defaults to 1) The number of
+ *                                      times the request is attempted before it fails.  See
+ *                                      `../retry.js` for the other retry options
+ *
+ *                                    - {string} namespaceSeparator - (Defaults to '/')
+ *                                      Separator between the namespace and the action type name
+ *
+ *                                    - {function} orderToRequestData - (Defaults to a function
+ *                                      that returns the Array of IDs) A function that accepts
+ *                                      the arguments (options, order) and returns the body of
+ *                                      the request that saves the order
+ *
+ *                                    - {function} reorderFunc - (Defaults to `null`) A function
+ *                                      that accepts the arguments (endpoint, requestData) and
+ *                                      returns a Promise, like a `putFunc` to an endpoint of
+ *                                      the order.  If not given, the order is only kept in state.
+ *
+ * @param {Array} resources         Supplied when dispatched: The resources, or their IDs, in
+ *                                  their new order.  Resources that are left out keep their
+ *                                  order after these ones.
+ *
+ * @return {Promise}                Resolves with a summary of the outcome of the request once it
+ *                                  has concluded, or of no requests if the order is only kept
+ *                                  in state (see `summarizeRequestOutcomes`)
+ */
+function reorderResources(
+  namespace,
+  endpoint,
+  options,
+  // params specific to this action
+  resources,
+) {
+  return async (dispatch, getState) => {
+    const computedOptions = {
+      ...defaultOptions,
+      ...options,
+    }
+    const {
+      debug,
+      handleReorderFailure,
+      idKey,
+      namespaceSeparator,
+      orderToRequestData,
+      reorderFunc,
+    } = computedOptions
+    const debugLog = createDebugLog(debug)
+    debugLog('DEBUG autoReduxApi: `reorderResources` (1 of 1) arguments:', {
+      namespace, endpoint, options, resources, computedOptions,
+    })
+    if (reorderFunc !== null && typeof reorderFunc !== 'function') {
+      throw new Error('In `autoReduxApi`, `reorderFunc` must be a function, if specified')
+    }
+    const getActionType = phase => `${namespace}${namespaceSeparator}REORDER_${phase}`
+    const previousOrder = R.pathOr([], [namespace, 'order'], getState())
+    const order = applyOrder(previousOrder, R.map(resource => toId(idKey, resource), resources))
+    const url = reorderFunc && resolveEndpoint(
+      getCollectionEndpoint(computedOptions, endpoint), computedOptions, getState,
+    )
+
+    dispatch({ order, previousOrder, type: getActionType('START') })
+    if (!reorderFunc) {
+      dispatch({ order, type: getActionType('SUCCESS') })
+      return summarizeRequestOutcomes([])
+    }
+    const requestData = orderToRequestData(computedOptions, order)
+    try {
+      const response = await withRetries(
+        () => reorderFunc(url, requestData),
+        computedOptions,
+        retry => dispatch({
+          ...retry, order, requestData, type: getActionType('RETRY'),
+        }),
+      )
+      dispatch({
+        order, requestData, responseData: response.data, type: getActionType('SUCCESS'),
+      })
+      return summarizeRequestOutcomes([{
+        failures: [],
+        successes: [{ data: order, requestData, response }],
+      }])
+    } catch (error) {
+      dispatch({
+        error, order, previousOrder, requestData, type: getActionType('FAIL'),
+      })
+      handleReorderFailure(computedOptions, error, requestData, dispatch, getState)
+      return summarizeRequestOutcomes([{
+        failures: [{ data: order, error, requestData }],
+        successes: [],
+      }])
+    }
+  }
+}
+
+
+/**
+ * @description
+ * Redux thunk action that moves a resource to another index in `order`, like when it is
+ * dragged and dropped, then arranges the resources like `reorderResources` does
+ *
+ * @param {object} namespace        Supplied to generateActions: Redux namespace, which must also
+ *                                  be where the resource's slice is in the Redux state
+ * @param {string} endpoint         Supplied by generateActions: Api endpoint  Ex: '/products'
+ * @param {object} options          Supplied by generateActions: Options; See `reorderResources`
+ * @param {object|any} resource     Supplied when dispatched: The resource to move, or its ID
+ * @param {number} toIndex          Supplied when dispatched: The index in `order` to move it to
+ *
+ * @return {Promise}                Resolves like that of `reorderResources`
+ */
+function moveResource(namespace, endpoint, options, resource, toIndex) {
+  return async (dispatch, getState) => {
+    const { idKey } = {
+      ...defaultOptions,
+      ...options,
+    }
+    const id = toId(idKey, resource)
+    const currentOrder = R.pathOr([], [namespace, 'order'], getState())
+    const fromIndex = R.findIndex(orderId => String(orderId) === String(id), currentOrder)
+    if (fromIndex === -1) {
+      throw new Error(`In \`autoReduxApi\`, \`moveResource\` can't find ${id} in \`order\``)
+    }
+    const withoutResource = R.remove(fromIndex, 1, currentOrder)
+    const index = Math.max(0, Math.min(toIndex, withoutResource.length))
+    return reorderResources(
+      namespace, endpoint, options, R.insert(index, currentOrder[fromIndex], withoutResource),
+    )(dispatch, getState)
+  }
+}
+export default { moveResource, reorderResources }
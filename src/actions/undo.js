@@ -0,0 +1,218 @@
+import * as R from 'ramda'
+
+import { mapIndexed } from '../functional'
+import { toSliceKey } from '../nested'
+import { summarizeRequestOutcomes } from '../utils'
+import deleteActions from './deleteResources'
+import patchActions from './patchResources'
+import postActions from './postResources'
+
+
+export const defaultOptions = {
+  idKey: 'id',
+  namespaceSeparator: '/',
+}
+
+// helpers
+// Whether an `undo` or `redo` is in progress for each slice of each store, so one isn't done
+// twice.  Stores are told apart by their `getState`.
+const historyStepsByStore = new WeakMap()
+const stepExclusively = async (getState, sliceKey, step) => {
+  if (!historyStepsByStore.has(getState)) {
+    historyStepsByStore.set(getState, {})
+  }
+  const historyStepsInProgress = historyStepsByStore.get(getState)
+  if (historyStepsInProgress[sliceKey]) {
+    return summarizeRequestOutcomes([])
+  }
+  historyStepsInProgress[sliceKey] = true
+  try {
+    return await step()
+  } finally {
+    delete historyStepsInProgress[sliceKey]
+  }
+}
+// The compensating requests aren't recorded in the history themselves
+const withoutUndo = options => ({
+  ...options,
+  DELETE: { ...(options || {}).DELETE, undoable: false },
+  PATCH: { ...(options || {}).PATCH, undoable: false },
+})
+// The current versions of the resources that are still in state
+const toCurrentResources = (slice, idKey, resources) => R.filter(
+  R.identity,
+  R.map(resource => slice.data[resource[idKey]], resources),
+)
+const findById = (idKey, id, resources) => R.find(R.propEq(idKey, id), resources) || {}
+// Deleted resources in runs of neighbours in `order`, each with the index of its first resource,
+// by index.  Those that weren't in `order` go last, where new resources go.
+const toRuns = (resources, positions = []) => {
+  const isPositioned = ({ position }) => typeof position === 'number' && position >= 0
+  const items = mapIndexed((resource, i) => ({ position: positions[i], resource }), resources)
+  const runs = R.reduce((sortedRuns, { position, resource }) => {
+    const run = R.last(sortedRuns)
+    return run && position === run.position + run.resources.length
+      ? [...R.init(sortedRuns), { ...run, resources: [...run.resources, resource] }]
+      : [...sortedRuns, { position, resources: [resource] }]
+  }, [], R.sortBy(R.prop('position'), R.filter(isPositioned, items)))
+  const unpositioned = R.map(R.prop('resource'), R.reject(isPositioned, items))
+  return unpositioned.length
+    ? [...runs, { position: undefined, resources: unpositioned }]
+    : runs
+}
+
+
+/**
+ * @description
+ * Redux thunk action that undoes the latest undoable mutation in the slice's `undoHistory` (see
+ * the `undoable` option of `patchResources` and `deleteResources`).  The resources are restored
+ * optimistically, and the compensating request is made to the API:
+ *   - A patch is undone by patching the fields it changed back to their previous values
+ *   - A delete is undone by posting the deleted resources again, back where they were in
+ *     `order`.  They are re-created with the IDs the API gives them.  Resources that weren't
+ *     next to each other are posted in separate requests, each to its own place.
+ *
+ * Once the compensating request succeeds, the mutation can be redone by `redo`.  If it fails,
+ * the mutation stays in the history, so undoing can be attempted again.
+ *
+ * NOTE: Undoing a mutation that is still in progress can race with it in the API, unless
+ *       `serializePatches` is set.
+ *
+ * @param {object} namespace        Supplied to generateActions: Redux namespace, which must also
+ *                                  be where the resource's slice is in the Redux state
+ * @param {string} endpoint         Supplied by generateActions: Api endpoint  Ex: '/products'
+ * @param {object} options          Supplied by generateActions: Options; Those of `postResources`,
+ *                                  `patchResources` and `deleteResources` are used for the
+ *                                  compensating requests
+ *
+ * @return {Promise}                Resolves with a summary of the outcome of the compensating
+ *                                  request, or with a summary of no requests if there was nothing
+ *                                  to undo (see `summarizeRequestOutcomes`)
+ */
+function undo(namespace, endpoint, options) {
+  const sliceKey = toSliceKey(namespace, options)
+  return (dispatch, getState) => stepExclusively(getState, sliceKey, async () => {
+    const { idKey, namespaceSeparator } = {
+      ...defaultOptions,
+      ...options,
+    }
+    const slice = getState()[namespace]
+    const entry = R.last(R.pathOr([], ['undoHistory', 'past'], slice))
+    if (!entry) {
+      return summarizeRequestOutcomes([])
+    }
+    const {
+      changes, mutationId, operation, positions, resources,
+    } = entry
+    const type = `${namespace}${namespaceSeparator}UNDO`
+
+    if (operation === 'DELETE') {
+      // the STARTs of the runs are dispatched in order, so each lands where it was
+      const runs = toRuns(resources, positions)
+      const runOutcomes = await Promise.all(R.map(run => postActions.postResources(
+        namespace,
+        endpoint,
+        withoutUndo(options),
+        R.map(R.omit([idKey]), run.resources),
+        run.position,
+      )(dispatch, getState), runs))
+      const outcome = summarizeRequestOutcomes(runOutcomes)
+      if (outcome.succeeded) {
+        // redoing the delete deletes the re-created resources
+        const recreatedById = R.fromPairs(R.unnest(R.zipWith(
+          (run, runOutcome) => R.zip(
+            R.map(R.prop(idKey), run.resources),
+            R.unnest(R.map(R.prop('data'), runOutcome.successes)),
+          ),
+          runs,
+          runOutcomes,
+        )))
+        dispatch({
+          mutationId,
+          resources: R.map(resource => recreatedById[resource[idKey]], resources),
+          type,
+        })
+      }
+      return outcome
+    }
+
+    const targetResources = toCurrentResources(slice, idKey, resources)
+    if (!targetResources.length) {
+      // the resources are gone, so there is nothing left to undo
+      dispatch({ mutationId, type })
+      return summarizeRequestOutcomes([])
+    }
+    const previousProperties = R.map((target) => {
+      const id = target[idKey]
+      const changedKeys = R.keys(R.omit([idKey], findById(idKey, id, changes)))
+      const previousResource = findById(idKey, id, resources)
+      return R.fromPairs(R.map(key => [key, R.propOr(null, key, previousResource)], changedKeys))
+    }, targetResources)
+    const outcome = await patchActions.patchResources(
+      namespace, endpoint, withoutUndo(options), targetResources, previousProperties,
+    )(dispatch, getState)
+    if (outcome.succeeded) {
+      dispatch({ mutationId, type })
+    }
+    return outcome
+  })
+}
+
+
+/**
+ * @description
+ * Redux thunk action that redoes the mutation most recently undone by `undo`, by making its
+ * request to the API again, optimistically.  Once the request succeeds, the mutation can be
+ * undone again.
+ *
+ * @param {object} namespace        Supplied to generateActions: Redux namespace, which must also
+ *                                  be where the resource's slice is in the Redux state
+ * @param {string} endpoint         Supplied by generateActions: Api endpoint  Ex: '/products'
+ * @param {object} options          Supplied by generateActions: Options; See `undo`
+ *
+ * @return {Promise}                Resolves with a summary of the outcome of the request, or with
+ *                                  a summary of no requests if there was nothing to redo (see
+ *                                  `summarizeRequestOutcomes`)
+ */
+function redo(namespace, endpoint, options) {
+  const sliceKey = toSliceKey(namespace, options)
+  return (dispatch, getState) => stepExclusively(getState, sliceKey, async () => {
+    const { idKey, namespaceSeparator } = {
+      ...defaultOptions,
+      ...options,
+    }
+    const slice = getState()[namespace]
+    const entry = R.last(R.pathOr([], ['undoHistory', 'future'], slice))
+    if (!entry) {
+      return summarizeRequestOutcomes([])
+    }
+    const {
+      changes, mutationId, operation, resources,
+    } = entry
+    const type = `${namespace}${namespaceSeparator}REDO`
+    const targetResources = toCurrentResources(slice, idKey, resources)
+    if (!targetResources.length) {
+      // the resources are gone, so there is nothing left to redo
+      dispatch({ mutationId, type })
+      return summarizeRequestOutcomes([])
+    }
+    const outcome = operation === 'DELETE'
+      ? await deleteActions.deleteResources(
+        namespace, endpoint, withoutUndo(options), targetResources,
+      )(dispatch, getState)
+      : await patchActions.patchResources(
+        namespace,
+        endpoint,
+        withoutUndo(options),
+        targetResources,
+        R.map(target => R.omit([idKey], findById(idKey, target[idKey], changes)), targetResources),
+      )(dispatch, getState)
+    if (outcome.succeeded) {
+      dispatch({ mutationId, type })
+    }
+    return outcome
+  })
+}
+
+
+export default { redo, undo }
@@ -0,0 +1,238 @@
+import * as R from 'ramda'
+
+import clearErrorsActions from './actions/clearErrors'
+import deleteActions from './actions/deleteResources'
+import flushQueueActions from './actions/flushQueue'
+import getOneActions from './actions/getResource'
+import getActions from './actions/getResources'
+import patchActions from './actions/patchResources'
+import postActions from './actions/postResources'
+import putActions from './actions/putResources'
+import reorderActions from './actions/reorderResources'
+import undoActions from './actions/undo'
+import { getPathParamNames } from './endpoints'
+import generateActions from './generateActions'
+import generateSelectors from './generateSelectors'
+import { MERGE_RELATED } from './reductions/mergeRelated'
+import { OPT_DELETE_ALL } from './reductions/optimisticDelete'
+import { OPT_PATCH_ALL } from './reductions/optimisticPatch'
+import { OPT_POST_ALL } from './reductions/optimisticPost'
+import { OPT_PUT_ALL } from './reductions/optimisticPut'
+import { PESS_DELETE_ALL } from './reductions/pessimisticDelete'
+import { PESS_GET_ALL } from './reductions/pessimisticGet'
+import { PESS_GET_ONE_ALL } from './reductions/pessimisticGetOne'
+import { PESS_PATCH_ALL } from './reductions/pessimisticPatch'
+import { PESS_POST_ALL } from './reductions/pessimisticPost'
+import { PESS_PUT_ALL } from './reductions/pessimisticPut'
+import { flattenFuncMap } from './utils'
+import withReductions, { commonReducers } from './withReductions'
+
+
+export const defaultOptions = {
+  idKey: 'id',
+  namespaceSeparator: '/',
+  operations: ['GET', 'POST', 'PATCH', 'PUT', 'DELETE'],
+  reducer: R.identity,
+}
+
+// helpers
+// The actions and reducers of each operation, and the options that must agree with them
+const operationConfigs = {
+  GET: {
+    actions: { ...getActions, ...getOneActions },
+    func: 'getFunc',
+    reducers: () => ({ ...PESS_GET_ALL, ...PESS_GET_ONE_ALL }),
+  },
+  POST: {
+    actions: postActions,
+    func: 'postFunc',
+    optimisticKey: 'postOptimistic',
+    reducers: isOptimistic => (isOptimistic ? OPT_POST_ALL : PESS_POST_ALL),
+  },
+  PATCH: {
+    actions: patchActions,
+    func: 'patchFunc',
+    optimisticKey: 'patchOptimistic',
+    reducers: isOptimistic => (isOptimistic ? OPT_PATCH_ALL : PESS_PATCH_ALL),
+  },
+  PUT: {
+    actions: putActions,
+    func: 'putFunc',
+    optimisticKey: 'putOptimistic',
+    reducers: isOptimistic => (isOptimistic ? OPT_PUT_ALL : PESS_PUT_ALL),
+  },
+  DELETE: {
+    actions: deleteActions,
+    func: 'deleteFunc',
+    optimisticKey: 'deleteOptimistic',
+    reducers: isOptimistic => (isOptimistic ? OPT_DELETE_ALL : PESS_DELETE_ALL),
+  },
+}
+// the actions every resource has, whichever operations it supports
+const commonActions = {
+  ...clearErrorsActions, ...flushQueueActions, ...reorderActions, ...undoActions,
+}
+const configError = (namespace, message) => new Error(
+  `In \`autoReduxApi\`, the configuration of '${namespace}' given to \`createResource\` is `
+  + `inconsistent: ${message}`,
+)
+// The options an operation's actions see: those for all operations, then those of its block
+const getOperationOptions = (options, operation) => ({
+  ...options,
+  ...options[operation],
+})
+// Options of the whole slice, which its reducer only reads from the options for all operations
+const sliceOptionKeys = ['idKey', 'namespaceSeparator', 'parentKey']
+// Mutations are optimistic unless their option says otherwise, as in their actions
+const isOptimistic = (operationOptions, optimisticKey) => (
+  Boolean(optimisticKey) && operationOptions[optimisticKey] !== false
+)
+
+
+/**
+ * @description
+ * Checks that the options given to `createResource` agree with each other, throwing an Error
+ * naming the first that doesn't
+ * @param  {string} namespace  Redux namespace of the resource
+ * @param  {string} endpoint   Api endpoint
+ * @param  {object} options    The options, with the defaults
+ */
+const validateConfig = (namespace, endpoint, options) => {
+  if (typeof namespace !== 'string' || !namespace) {
+    throw new Error('In `autoReduxApi`, `createResource` requires a namespace string')
+  }
+  if (typeof endpoint !== 'string') {
+    throw configError(namespace, 'the endpoint must be a string')
+  }
+  const { operations, parentKey, reducer } = options
+  const unknownOperations = R.reject(R.has(R.__, operationConfigs), operations)
+  if (unknownOperations.length) {
+    throw configError(namespace, `unknown operations ${JSON.stringify(unknownOperations)}; `
+      + `Operations must be among ${JSON.stringify(R.keys(operationConfigs))}`)
+  }
+  if (typeof reducer !== 'function') {
+    throw configError(namespace, '`reducer` must be a function')
+  }
+  if (parentKey && !R.contains(parentKey, getPathParamNames(endpoint))) {
+    throw configError(namespace, `the endpoint '${endpoint}' has no \`:${parentKey}\` segment `
+      + 'for the parent\'s ID given by `parentKey`')
+  }
+  R.forEach(([operation, { func, optimisticKey }]) => {
+    const isIncluded = R.contains(operation, operations)
+    const operationOptions = getOperationOptions(options, operation)
+    if (!isIncluded && options[operation]) {
+      throw configError(namespace, `options are given for ${operation}, but it isn't among the `
+        + '`operations`')
+    }
+    const sliceOptionsOfBlock = R.filter(R.has(R.__, options[operation] || {}), sliceOptionKeys)
+    if (sliceOptionsOfBlock.length) {
+      throw configError(namespace, `${JSON.stringify(sliceOptionsOfBlock)} given for `
+        + `${operation}, but they must be given for all operations, since the reducer and the `
+        + 'selectors share them')
+    }
+    if (isIncluded && typeof operationOptions[func] !== 'function') {
+      throw configError(namespace, `${operation} is among the \`operations\`, but \`${func}\` `
+        + 'is not a function')
+    }
+    const optimisticFlag = optimisticKey && operationOptions[optimisticKey]
+    if (optimisticFlag !== undefined && typeof optimisticFlag !== 'boolean') {
+      throw configError(namespace, `\`${optimisticKey}\` must be a boolean, if specified`)
+    }
+    // GETs have nothing to undo, whatever the options for all operations say
+    const isUndoable = isIncluded && optimisticKey && operationOptions.undoable
+    if (isUndoable && !isOptimistic(operationOptions, optimisticKey)) {
+      throw configError(namespace, `${operation} is \`undoable\`, but \`${optimisticKey}\` is `
+        + '`false`, and only optimistic mutations can be undone')
+    }
+  }, R.toPairs(operationConfigs))
+  // undoing a delete creates the deleted resources again
+  const isDeleteUndoable = R.contains('DELETE', operations)
+    && getOperationOptions(options, 'DELETE').undoable
+  if (isDeleteUndoable && !R.contains('POST', operations)) {
+    throw configError(namespace, 'DELETE is `undoable`, but POST isn\'t among the `operations`, '
+      + 'and deleted resources are posted again to undo their deletion')
+  }
+}
+
+
+/**
+ * @description
+ * Creates everything a resource needs from a single configuration, so the namespace, the
+ * separator, the `idKey` and the optimism of each operation can't disagree between the actions,
+ * the reducer and the selectors, as they could when calling `generateActions`, `withReductions`
+ * and `generateSelectors` separately.  The reducer handles the optimistic or pessimistic action
+ * types of each operation, according to the same options the actions use.
+ * @example
+ * const keywords = createResource('model/keywords', '/keywords/:id', {
+ *   ...createFetchTransport({ baseURL: 'https://api.example.com' }),
+ *   operations: ['GET', 'PATCH'],
+ *   PATCH: { patchOptimistic: false },
+ * })
+ * // combineReducers({ model: combineReducers({ keywords: keywords.reducer }) })
+ * // dispatch(keywords.actions.getResources())
+ *
+ * @param  {string} namespace  Redux namespace of the resource, which must also be where its
+ *                             slice is in the Redux state  Ex: 'model/keywords'
+ * @param  {string} endpoint   Api endpoint, which may have templated segments (see
+ *                             `./endpoints.js`)  Ex: '/keywords' or '/keywords/:id'
+ * @param  {object} options    Options of the actions, the reducer and the selectors, which may
+ *                             be given for all operations, or per operation in the `GET`,
+ *                             `POST`, `PATCH`, `PUT` and `DELETE` blocks of options, as for
+ *                             `generateActions`.  `idKey`, `namespaceSeparator` and
+ *                             `parentKey` may only be given for all operations.  Also:
+ *                               - {Array} operations - (Defaults to all of them) The operations
+ *                                 the API supports for the resource, among 'GET', 'POST',
+ *                                 'PATCH', 'PUT' and 'DELETE'.  Each needs its request function,
+ *                                 like `patchFunc` for 'PATCH'.  'POST' is needed to undo
+ *                                 deletes.
+ *                               - {function} reducer - (Defaults to `R.identity`) Base reducer
+ *                                 of the slice (see `withReductions`)
+ *
+ * @return {object}            An object with keys:
+ *                               - {object} actions - The actions of the supported operations,
+ *                                 and those every resource has (`clearErrors`, `flushQueue`,
+ *                                 `moveResource`, `redo`, `reorderResources` and `undo`), as
+ *                                 returned by `generateActions`
+ *                               - {function} reducer - The slice's reducer
+ *                               - {object} selectors - As returned by `generateSelectors`
+ *                               - {object} types - Map of the names of the action types the
+ *                                 reducer handles, like 'OPT_PATCH_START', to the types
+ *                                 themselves, like 'model/keywords/OPT_PATCH_START'
+ */
+export default function createResource(namespace, endpoint, options = {}) {
+  const computedOptions = {
+    ...defaultOptions,
+    ...options,
+  }
+  validateConfig(namespace, endpoint, computedOptions)
+  const {
+    namespaceSeparator, operations, reducer, ...rest
+  } = computedOptions
+  const operationOptions = { ...rest, namespaceSeparator }
+  const includedConfigs = R.props(operations, operationConfigs)
+
+  const actions = generateActions()(
+    namespace,
+    [commonActions, ...R.map(R.prop('actions'), includedConfigs)],
+    endpoint,
+    operationOptions,
+  )
+  const operationReducers = R.mergeAll([
+    MERGE_RELATED,
+    ...R.zipWith(
+      (operation, { optimisticKey, reducers }) => reducers(isOptimistic(
+        getOperationOptions(operationOptions, operation), optimisticKey,
+      )),
+      operations,
+      includedConfigs,
+    ),
+  ])
+  const typePrefix = `${namespace}${namespaceSeparator}`
+  const reducerFuncMap = flattenFuncMap({ ...commonReducers, ...operationReducers })
+  return {
+    actions,
+    reducer: withReductions(namespace, operationReducers, operationOptions)(reducer),
+    selectors: generateSelectors(namespace, getOperationOptions(operationOptions, 'GET')),
+    types: R.fromPairs(R.map(name => [name, `${typePrefix}${name}`], R.keys(reducerFuncMap))),
+  }
+}
@@ -0,0 +1,212 @@
+import * as R from 'ramda'
+
+
+/**
+ * Endpoints may have templated segments, like '/campaigns/:campaignId/adGroups' or
+ * '/products/:id', which are filled in for each request.  Values of the segments come from,
+ * in order of precedence:
+ *   - The params given when dispatching `getResources`, `getResource` and the other GET actions.
+ *     Params used in the URL are left out of the query string.
+ *   - The resources of a POST, PATCH, PUT or DELETE request, when they all have the same value
+ *     for the segment, like the `campaignId` of the ad groups being patched
+ *   - The `getPathParams` option
+ *
+ * A trailing segment for the resource's ID, like the ':id' of '/products/:id', makes the
+ * endpoint one of per-resource URLs.  GETs of many resources and POSTs go to the endpoint without
+ * that segment, like '/products', and PATCHes, PUTs and DELETEs are sent per resource, each to
+ * the URL of its resource.
+ *
+ * These options may be given for all operations, or per operation in the `GET`, `POST`,
+ * `PATCH`, `PUT` and `DELETE` blocks of options:
+ *
+ *   - {function} getPathParams - (Defaults to a function that returns no values) A function
+ *     that accepts the arguments (options, getState) and returns an object of values for
+ *     templated segments, like the ID of the campaign selected in the UI
+ *
+ *   - {boolean} requestPerResource - (Defaults to whether the endpoint ends with a segment for
+ *     the resource's ID) Set to `true` to send a PATCH, PUT or DELETE request per resource.  The
+ *     body of each request is then the patch or replacement resource itself, and DELETE requests
+ *     have no body.
+ *
+ * A segment without a value throws an Error when the action is dispatched, before any request
+ * is made.
+ */
+
+export const defaultEndpointOptions = {
+  getPathParams: () => ({}),
+  requestPerResource: null,
+}
+
+
+// helpers
+const segmentPattern = /:([A-Za-z_$][\w$]*)/g
+const hasValue = value => value !== null && value !== undefined
+
+
+/**
+ * @description
+ * The names of the templated segments of an endpoint
+ * @example
+ * getPathParamNames('/campaigns/:campaignId/adGroups/:id')
+ * // ['campaignId', 'id']
+ * @param  {string} endpoint  Api endpoint  Ex: '/campaigns/:campaignId/adGroups'
+ *
+ * @return {Array}            The names of the segments, in order
+ */
+export function getPathParamNames(endpoint) {
+  return R.map(segment => segment.slice(1), R.match(segmentPattern, endpoint))
+}
+
+
+/**
+ * @description
+ * Fills in the templated segments of an endpoint with URI-encoded values
+ * @example
+ * fillEndpoint('/campaigns/:campaignId/adGroups', { campaignId: 5 })
+ * // '/campaigns/5/adGroups'
+ * @param  {string} endpoint    Api endpoint  Ex: '/campaigns/:campaignId/adGroups'
+ * @param  {object} pathParams  Values of the segments, by name
+ *
+ * @return {string}             The URL
+ */
+export function fillEndpoint(endpoint, pathParams) {
+  return endpoint.replace(segmentPattern, (segment, name) => {
+    if (!hasValue(pathParams[name])) {
+      throw new Error(
+        `In \`autoReduxApi\`, no value for the \`${segment}\` segment of the endpoint '${endpoint}'; `
+        + `Supply \`${name}\` in the params, in the resources or with \`getPathParams\``,
+      )
+    }
+    return encodeURIComponent(pathParams[name])
+  })
+}
+
+
+/**
+ * @description
+ * Fills in the templated segments of an endpoint that there are values for, leaving the others
+ * to be filled in for each request
+ * @example
+ * prefillEndpoint('/campaigns/:campaignId/adGroups/:id', { campaignId: 5 })
+ * // '/campaigns/5/adGroups/:id'
+ * @param  {string} endpoint    Api endpoint  Ex: '/campaigns/:campaignId/adGroups/:id'
+ * @param  {object} pathParams  Values of some of the segments, by name
+ *
+ * @return {string}             The endpoint
+ */
+export function prefillEndpoint(endpoint, pathParams) {
+  return endpoint.replace(segmentPattern, (segment, name) => (
+    hasValue(pathParams[name]) ? encodeURIComponent(pathParams[name]) : segment
+  ))
+}
+
+/**
+ * @description
+ * The endpoint of the resource type as a whole, for GETs of many resources and POSTs: the
+ * endpoint without a trailing segment for the resource's ID
+ * @param  {object} options   Options with the `idKey`
+ * @param  {string} endpoint  Api endpoint  Ex: '/products/:id'
+ *
+ * @return {string}           The endpoint  Ex: '/products'
+ */
+export function getCollectionEndpoint({ idKey = 'id' }, endpoint) {
+  const resourceSegment = `/:${idKey}`
+  return R.endsWith(resourceSegment, endpoint)
+    ? R.dropLast(resourceSegment.length, endpoint)
+    : endpoint
+}
+
+
+/**
+ * @description
+ * Gives options their `requestPerResource` value for an endpoint, inferring it from the
+ * endpoint if it isn't set
+ * @param  {string} endpoint  Api endpoint  Ex: '/products/:id'
+ * @param  {object} options   Options of the action making the requests; See above
+ *
+ * @return {object}           The options, with `requestPerResource` set to `true` or `false`
+ */
+export function withRequestPerResource(endpoint, options) {
+  const { requestPerResource } = { ...defaultEndpointOptions, ...options }
+  return {
+    ...options,
+    requestPerResource: typeof requestPerResource === 'boolean'
+      ? requestPerResource
+      : getCollectionEndpoint(options, endpoint) !== endpoint,
+  }
+}
+
+
+/**
+ * @description
+ * Builds the URL of a request, filling in the templated segments of the endpoint with the given
+ * values, or with those of the `getPathParams` option
+ * @param  {string} endpoint    Api endpoint  Ex: '/campaigns/:campaignId/adGroups'
+ * @param  {object} options     Options of the action making the request; See above
+ * @param  {function} getState  A function that gets the current state from the Redux store
+ * @param  {object} pathParams  Values of the segments from the dispatch or the resources
+ *
+ * @return {string}             The URL
+ */
+export function resolveEndpoint(endpoint, options, getState, pathParams = {}) {
+  const computedOptions = {
+    ...defaultEndpointOptions,
+    ...options,
+  }
+  return fillEndpoint(endpoint, {
+    ...computedOptions.getPathParams(computedOptions, getState),
+    ...pathParams,
+  })
+}
+
+
+// helpers
+// The values that all of the resources of a request share for the segments of an endpoint
+const getResourcePathParams = (endpoint, resources) => R.fromPairs(R.filter(R.identity, R.map(
+  (name) => {
+    const values = R.uniq(R.map(R.prop(name), resources))
+    return values.length === 1 && hasValue(values[0]) ? [name, values[0]] : null
+  },
+  getPathParamNames(endpoint),
+)))
+
+
+/**
+ * @description
+ * Builds the URL of a POST, PATCH, PUT or DELETE request, filling in the templated segments of
+ * the endpoint with the values shared by the resources of the request, or with those of the
+ * `getPathParams` option
+ * @param  {string} endpoint    Api endpoint  Ex: '/products/:id'
+ * @param  {object} options     Options of the action making the request; See above
+ * @param  {function} getState  A function that gets the current state from the Redux store
+ * @param  {Array} resources    The resources of the request, like its `data`
+ *
+ * @return {string}             The URL
+ */
+export function resolveResourcesEndpoint(endpoint, options, getState, resources) {
+  return resolveEndpoint(endpoint, options, getState, getResourcePathParams(endpoint, resources))
+}
+
+
+/**
+ * @description
+ * Whether every templated segment of the endpoint has a value for a POST, PATCH, PUT or DELETE
+ * request of the given resources, so `resolveResourcesEndpoint` won't throw
+ * @param  {string} endpoint    Api endpoint  Ex: '/campaigns/:campaignId/adGroups'
+ * @param  {object} options     Options of the action making the request; See above
+ * @param  {function} getState  A function that gets the current state from the Redux store
+ * @param  {Array} resources    The resources of the request, like its `data`
+ *
+ * @return {boolean}            `true` if the URL can be built
+ */
+export function canResolveResourcesEndpoint(endpoint, options, getState, resources) {
+  const computedOptions = {
+    ...defaultEndpointOptions,
+    ...options,
+  }
+  const pathParams = {
+    ...computedOptions.getPathParams(computedOptions, getState),
+    ...getResourcePathParams(endpoint, resources),
+  }
+  return R.all(name => hasValue(pathParams[name]), getPathParamNames(endpoint))
+}
@@ -1,5 +1,7 @@
 import * as R from 'ramda'
 
+import { prefillEndpoint } from './endpoints'
+import { bindToParent } from './nested'
 import { flattenFuncMap } from './utils'
 
 
@@ -15,17 +17,26 @@ import { flattenFuncMap } from './utils'
  * @param {object} operationActions Object of operation action function.  The indexes at which
  *                                  these functions are supplied will be the indexes in the
  *                                  resulting object full of dispatchable actions.
- * @param {string} endpoint         Api endpoint  Ex: '/campaigns'
+ * @param {string} endpoint         Api endpoint, which may have templated segments filled in
+ *                                  for each request (see `./endpoints.js`)  Ex: '/campaigns' or
+ *                                  '/campaigns/:campaignId/adGroups/:id'
  * @param {object} options          Options used by the generalized actions; Any unrecognized
  *                                  options are ignored
+ *                                    - {string} parentKey - (Optional) Set to the property of
+ *                                      the resources that holds their parent's ID, like
+ *                                      'campaignId', for nested mode, in which every action
+ *                                      accepts the parent's ID before its other arguments (see
+ *                                      `./nested.js`)
  *
  * @return {object}                 An object populated with action functions that can be
- *                                  dispatched to perform API requests
+ *                                  dispatched to perform API requests.  Dispatching one returns
+ *                                  a Promise that resolves with a summary of the outcome of each
+ *                                  request made (see `summarizeRequestOutcomes`)
  */
 const generateActions = (defaultOptions = {}) => {
   const {
-    GET: defaultGet, POST: defaultPost, PATCH: defaultPatch, DELETE: defaultDelete,
-    ...defaultRest
+    GET: defaultGet, POST: defaultPost, PATCH: defaultPatch, PUT: defaultPut,
+    DELETE: defaultDelete, ...defaultRest
   } = defaultOptions
   return (
     namespace,
@@ -34,30 +45,48 @@ const generateActions = (defaultOptions = {}) => {
     options = {},
   ) => {
     const {
-      GET: optionsGet, POST: optionsPost, PATCH: optionsPatch, DELETE: optionsDelete,
-      ...optionsRest
+      GET: optionsGet, POST: optionsPost, PATCH: optionsPatch, PUT: optionsPut,
+      DELETE: optionsDelete, ...optionsRest
     } = options
+    const { namespaceSeparator = '/', parentKey } = { ...defaultRest, ...optionsRest }
     const actionsFuncMap = flattenFuncMap(operationActions)
+    const getComputedOptions = () => ({
+      ...defaultRest,
+      ...optionsRest,
+      GET: { ...defaultGet, ...optionsGet },
+      POST: { ...defaultPost, ...optionsPost },
+      PATCH: { ...defaultPatch, ...optionsPatch },
+      PUT: { ...defaultPut, ...optionsPut },
+      DELETE: { ...defaultDelete, ...optionsDelete },
+    })
+    // in nested mode, the action is run on the state of the parent's resources
+    const toNestedAction = actionFunc => (parentId, ...args) => async (dispatch, getState) => {
+      if (parentId === undefined || parentId === null) {
+        throw new Error('In `autoReduxApi`, actions of nested resources require the parent\'s ID')
+      }
+      const parent = bindToParent(namespace, namespaceSeparator, parentId, dispatch, getState)
+      const action = actionFunc(
+        namespace,
+        prefillEndpoint(endpoint, { [parentKey]: parentId }),
+        { ...getComputedOptions(), parentId },
+        ...args,
+      )
+      return typeof action === 'function'
+        ? action(parent.dispatch, parent.getState)
+        : parent.dispatch(action)
+    }
     return R.fromPairs(
       R.map(
         ([actionName, actionFunc]) => ([
           actionName,
-          (...args) => (dispatch) => {
-            const computedOptions = {
-              ...defaultRest,
-              ...optionsRest,
-              GET: { ...defaultGet, ...optionsGet },
-              POST: { ...defaultPost, ...optionsPost },
-              PATCH: { ...defaultPatch, ...optionsPatch },
-              DELETE: { ...defaultDelete, ...optionsDelete },
-            }
-            dispatch(actionFunc(
+          parentKey
+            ? toNestedAction(actionFunc)
+            : (...args) => dispatch => dispatch(actionFunc(
               namespace,
               endpoint,
-              computedOptions,
+              getComputedOptions(),
               ...args,
-            ))
-          },
+            )),
         ]), R.toPairs(actionsFuncMap),
       ),
     )
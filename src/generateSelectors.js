@@ -1,6 +1,191 @@
-import { createSelector } from 'reselect'
+import { createSelector, defaultMemoize } from 'reselect'
 import * as R from 'ramda'
 
+import { denormalizeResource, relatedNamespaces } from './normalize'
+import { listResources } from './listing'
+import { initialQueryState } from './reductions/pessimisticGet'
+import { toQueryKey } from './utils'
+
+
+const defaultOptions = {
+  getQueryKey: (options, params) => toQueryKey(params),
+  parentKey: null,
+  parentSelectorsLimit: 100,
+  querySelectorsLimit: 100,
+  relations: {},
+}
+
+// helpers
+const noResources = []
+const hasId = (idMapSelectors, state, id) => R.any(
+  idMapSelector => R.has(String(id), idMapSelector(state) || {}),
+  idMapSelectors,
+)
+const idsToResources = (resources, resourceOrder) => R.compose(
+  R.filter(R.identity), // get rid of undefined (probably deleted) search terms
+  R.map(R.prop(R.__, resources)), // returns an array of search term objects
+)(resourceOrder)
+// Gets the value of a key from a Map of the most recently used keys, making it if it isn't
+// there.  The least recently used key is forgotten once there are `limit` of them.
+const getFromCache = (cache, limit, key, create) => {
+  const value = cache.has(key) ? cache.get(key) : create()
+  // the key is moved to the end of the Map, after the others, as the most recently used
+  cache.delete(key)
+  if (cache.size >= limit) {
+    cache.delete(cache.keys().next().value)
+  }
+  cache.set(key, value)
+  return value
+}
+
+
+// The selectors of the state at `slicePath`: the whole slice, or one parent's part of it
+const createSliceSelectors = (slicePath, computedOptions) => {
+  const { getQueryKey, querySelectorsLimit, relations } = computedOptions
+  const resourceDataMapSelector = R.path([...slicePath, 'data'])
+  const resourceOrderArraySelector = R.path([...slicePath, 'order'])
+  const orderedResourcesArraySelector = createSelector(
+    resourceDataMapSelector,
+    resourceOrderArraySelector,
+    idsToResources,
+  )
+
+  const namespacesOfRelated = relatedNamespaces(relations)
+  const denormalizedResourcesArraySelector = createSelector(
+    orderedResourcesArraySelector,
+    ...R.map(relatedNamespace => R.path([relatedNamespace, 'data']), namespacesOfRelated),
+    (resources, ...relatedData) => {
+      const dataByNamespace = R.zipObj(namespacesOfRelated, relatedData)
+      return R.map(
+        resource => denormalizeResource(relations, dataByNamespace, resource),
+        resources,
+      )
+    },
+  )
+
+  const sliceSelector = R.path(slicePath)
+  const isLoadingSelector = state => R.pathOr(0, [...slicePath, 'numGetsInProgress'], state) > 0
+  const hasLoadFailedSelector = state => Boolean(R.path([...slicePath, 'getFailed'], state))
+  const isPostingSelector = state => R.pathOr(0, [...slicePath, 'numPosting'], state) > 0
+  const isReorderingSelector = state => R.pathOr(
+    0, [...slicePath, 'numReordersInProgress'], state,
+  ) > 0
+  const isResourceLoadingSelector = (state, id) => R.pathOr(
+    0, [...slicePath, 'singleGets', String(id), 'numGetsInProgress'], state,
+  ) > 0
+  const patchingMapSelectors = [
+    R.path([...slicePath, 'prePatchResources']),
+    R.path([...slicePath, 'pendingPatches']),
+  ]
+  const isResourcePatchingSelector = (state, id) => hasId(patchingMapSelectors, state, id)
+  const puttingMapSelectors = [
+    R.path([...slicePath, 'prePutResources']),
+    R.path([...slicePath, 'pendingPuts']),
+  ]
+  const isResourcePuttingSelector = (state, id) => hasId(puttingMapSelectors, state, id)
+  const deletingMapSelectors = [
+    R.path([...slicePath, 'preDeleteResources']),
+    R.path([...slicePath, 'pendingDeletes']),
+  ]
+  const isResourceDeletingSelector = (state, id) => hasId(deletingMapSelectors, state, id)
+  const pendingMutationCountSelector = createSelector(
+    sliceSelector,
+    (slice = {}) => R.sum([
+      slice.numPosting || 0,
+      ...R.map(
+        key => R.keys(slice[key] || {}).length,
+        [
+          'pendingDeletes', 'pendingPatches', 'pendingPuts',
+          'preDeleteResources', 'prePatchResources', 'prePutResources',
+        ],
+      ),
+    ]),
+  )
+
+  const getErrorSelector = R.pathOr(null, [...slicePath, 'getError'])
+  const postErrorSelector = R.pathOr(null, [...slicePath, 'postError'])
+  const reorderErrorSelector = R.pathOr(null, [...slicePath, 'reorderError'])
+  const resourceErrorsSelector = R.pathOr({}, [...slicePath, 'resourceErrors'])
+  const resourceErrorSelector = (state, id) => R.propOr(
+    null, String(id), resourceErrorsSelector(state),
+  )
+  const resourceLoadErrorSelector = (state, id) => R.pathOr(
+    null, [...slicePath, 'singleGets', String(id), 'getError'], state,
+  )
+
+  const offlineQueueSelector = R.pathOr([], [...slicePath, 'offlineQueue'])
+  const queuedMutationCountSelector = state => offlineQueueSelector(state).length
+
+  const undoHistorySelector = R.pathOr({ future: [], past: [] }, [...slicePath, 'undoHistory'])
+  const nextUndoSelector = state => R.last(undoHistorySelector(state).past) || null
+  const canUndoSelector = state => undoHistorySelector(state).past.length > 0
+  const canRedoSelector = state => undoHistorySelector(state).future.length > 0
+
+  // selectors are created once per query, so each query's selectors are memoized separately.
+  // Only those of the most recently used queries are kept, so they don't pile up.
+  const querySelectorsByKey = new Map()
+  const getQuerySelectors = (params) => {
+    const queryKey = getQueryKey(computedOptions, params)
+    return getFromCache(querySelectorsByKey, querySelectorsLimit, queryKey, () => {
+      const queryStateSelector = createSelector(
+        R.path([...slicePath, 'queries', queryKey]),
+        queryState => ({ ...initialQueryState, ...queryState }),
+      )
+      const queryOrderArraySelector = createSelector(queryStateSelector, R.prop('order'))
+      return {
+        queryStateSelector,
+        queryOrderArraySelector,
+        orderedQueryResourcesArraySelector: createSelector(
+          resourceDataMapSelector,
+          queryOrderArraySelector,
+          idsToResources,
+        ),
+      }
+    })
+  }
+
+  // each call makes a selector with its own memo, for one component's sorting and filtering
+  const createListSelector = (baseSelector = orderedResourcesArraySelector) => {
+    // the listing may be a new object on every call, so an equal one is swapped for the last
+    const listingSelector = defaultMemoize(R.identity, R.equals)
+    return createSelector(
+      state => baseSelector(state) || noResources,
+      (state, listing = {}) => listingSelector(listing),
+      listResources,
+    )
+  }
+
+  return {
+    canRedoSelector,
+    canUndoSelector,
+    createListSelector,
+    denormalizedResourcesArraySelector,
+    getErrorSelector,
+    getQuerySelectors,
+    hasLoadFailedSelector,
+    isLoadingSelector,
+    isPostingSelector,
+    isReorderingSelector,
+    isResourceDeletingSelector,
+    isResourceLoadingSelector,
+    isResourcePatchingSelector,
+    isResourcePuttingSelector,
+    nextUndoSelector,
+    offlineQueueSelector,
+    pendingMutationCountSelector,
+    postErrorSelector,
+    queuedMutationCountSelector,
+    reorderErrorSelector,
+    resourceErrorSelector,
+    resourceErrorsSelector,
+    resourceLoadErrorSelector,
+    undoHistorySelector,
+    resourceDataMapSelector,
+    resourceOrderArraySelector,
+    orderedResourcesArraySelector,
+  }
+}
+
 
 /**
  * @description
@@ -8,29 +193,118 @@ import * as R from 'ramda'
  * actions and reducers for API interactions, this function generates selectors that can
  * be used to access resources received from the server.
  * @param  {string} namespace   The namespace of the slice  Ex: `model/keywords`
+ * @param  {object} options     (Optional) Options:
+ *                                - {function} getQueryKey - Must be the same as the
+ *                                  `getQueryKey` option given to `getResources`, if any
+ *                                - {object} relations - Must be the same as the `relations`
+ *                                  option given to `getResources`, if any
+ *                                - {string} parentKey - Must be the same as the `parentKey`
+ *                                  option given to `withReductions`, if any (see `./nested.js`)
+ *                                - {number} parentSelectorsLimit - (Defaults to 100) In nested
+ *                                  mode, the number of parents whose selectors (see
+ *                                  `getParentSelectors`) are kept.  Those of the least recently
+ *                                  used parent are made again if it is used after that many
+ *                                  others.
+ *                                - {number} querySelectorsLimit - (Defaults to 100) The number
+ *                                  of queries whose selectors (see `getQuerySelectors`) are
+ *                                  kept.  Those of the least recently used query are made
+ *                                  again if it is used after that many others.
  *
  * @return {object}             An object with a few selectors mapped within it:
  *                               resourceDataMapSelector - map of IDs to data resource objects
  *                               resourceOrderArraySelector - Array of resource Ids in order
  *                               orderedResourcesArraySelector - Array of resource objects,
  *                                  in order
+ *                               denormalizedResourcesArraySelector - Array of resource objects,
+ *                                  in order, with related resources nested in them again
+ *                               getQuerySelectors - For GETs keyed by query (see the
+ *                                  `cacheQueries` option of `getResources`), a function that
+ *                                  accepts a query's params and returns memoized selectors for
+ *                                  that query:
+ *                                    queryStateSelector - The query's state, including its
+ *                                      `numGetsInProgress`, `getFailed` and `getSucceeded`
+ *                                    queryOrderArraySelector - Array of the query's resource
+ *                                      Ids in order
+ *                                    orderedQueryResourcesArraySelector - Array of the query's
+ *                                      resource objects, in order
+ *                               createListSelector - A function that makes a selector of its own
+ *                                  for a sorted, filtered or searched list, like one per
+ *                                  component.  It accepts the selector of the resources to list
+ *                                  (Defaults to `orderedResourcesArraySelector`), and the selector
+ *                                  made accepts (state, { filter, search, searchFields, sort })
+ *                                  (see `./listing.js`).  The list is only made again when the
+ *                                  resources or the arguments change.  Functions given as
+ *                                  filters, matchers or sort keys are compared by reference, so
+ *                                  they must be the same functions from call to call, not ones
+ *                                  made anew, or the list is made again every time.
+ *                               isLoadingSelector - Whether any GET of the resources is in
+ *                                  progress
+ *                               hasLoadFailedSelector - Whether the latest GET failed
+ *                               isPostingSelector - Whether any POST is in progress
+ *                               isReorderingSelector - Whether a new order of the resources is
+ *                                  being saved
+ *                               reorderErrorSelector - The error of the last reorder that failed
+ *                                  to be saved
+ *                               isResourceLoadingSelector - Accepts (state, id); Whether a GET
+ *                                  of the single resource is in progress
+ *                               isResourcePatchingSelector - Accepts (state, id); Whether a PATCH
+ *                                  of the resource is in progress
+ *                               isResourcePuttingSelector - Accepts (state, id); Whether a PUT
+ *                                  of the resource is in progress
+ *                               isResourceDeletingSelector - Accepts (state, id); Whether a
+ *                                  DELETE of the resource is in progress
+ *                               pendingMutationCountSelector - Number of POST requests and
+ *                                  resources being patched, replaced or deleted
+ *                               getErrorSelector - The error of the latest GET, if it failed
+ *                               postErrorSelector - The error of the last POST that failed
+ *                               resourceErrorsSelector - Id-indexed map of the errors of
+ *                                  resources that failed to be mutated
+ *                               resourceErrorSelector - Accepts (state, id); The error of the
+ *                                  resource's last failed mutation, like
+ *                                  { body, message, operation, status }
+ *                               resourceLoadErrorSelector - Accepts (state, id); The error of
+ *                                  the last failed GET of the single resource
+ *                               offlineQueueSelector - Array of the mutations queued while
+ *                                  offline, in the order they will be replayed
+ *                               queuedMutationCountSelector - Number of mutations queued while
+ *                                  offline
+ *                               undoHistorySelector - The slice's undo history, as
+ *                                  { future, past }
+ *                               nextUndoSelector - The mutation `undo` would undo, if any, like
+ *                                  { operation, resources }, for telling the user what it is
+ *                               canUndoSelector - Whether there is a mutation to undo
+ *                               canRedoSelector - Whether there is a mutation to redo
+ *
+ *                              In nested mode, an object with these instead:
+ *                               getParentSelectors - A function that accepts a parent's ID and
+ *                                  returns memoized selectors of all of the above for that
+ *                                  parent's resources
+ *                               parentIdsSelector - Array of the IDs of the parents whose
+ *                                  resources are in state, as strings
  */
-const generateSelectors = (namespace) => {
-  const resourceDataMapSelector = R.path([namespace, 'data'])
-  const resourceOrderArraySelector = R.path([namespace, 'order'])
-  const orderedResourcesArraySelector = createSelector(
-    resourceDataMapSelector,
-    resourceOrderArraySelector,
-    (resources, resourceOrder) => R.compose(
-      R.filter(R.identity), // get rid of undefined (probably deleted) search terms
-      R.map(R.prop(R.__, resources)), // returns an array of search term objects
-    )(resourceOrder),
-  )
-  return {
-    resourceDataMapSelector,
-    resourceOrderArraySelector,
-    orderedResourcesArraySelector,
+const generateSelectors = (namespace, options) => {
+  const computedOptions = {
+    ...defaultOptions,
+    ...options,
+  }
+  const { parentKey, parentSelectorsLimit } = computedOptions
+  if (!parentKey) {
+    return createSliceSelectors([namespace], computedOptions)
   }
+  // selectors are created once per parent, so each parent's selectors are memoized separately.
+  // Only those of the most recently used parents are kept, so they don't pile up.
+  const parentSelectorsById = new Map()
+  const getParentSelectors = parentId => getFromCache(
+    parentSelectorsById,
+    parentSelectorsLimit,
+    String(parentId),
+    () => createSliceSelectors([namespace, 'byParent', String(parentId)], computedOptions),
+  )
+  const parentIdsSelector = createSelector(
+    R.pathOr({}, [namespace, 'byParent']),
+    R.keys,
+  )
+  return { getParentSelectors, parentIdsSelector }
 }
 
 export default generateSelectors
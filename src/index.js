@@ -5,6 +5,10 @@ export {
   default as getResources,
   defaultOptions as defaultOptionsGet,
 } from './actions/getResources'
+export {
+  default as getResource,
+  defaultOptions as defaultOptionsGetResource,
+} from './actions/getResource'
 export {
   default as patchResources,
   defaultOptions as defaultOptionsPost,
@@ -13,6 +17,23 @@ export {
   default as postResources,
   defaultOptions as defaultOptionsPatch,
 } from './actions/postResources'
+export {
+  default as putResources,
+  defaultOptions as defaultOptionsPut,
+} from './actions/putResources'
+export {
+  default as clearErrors,
+} from './actions/clearErrors'
+export {
+  default as flushQueue,
+} from './actions/flushQueue'
+export {
+  default as undo,
+} from './actions/undo'
+export {
+  default as reorderResources,
+  defaultOptions as defaultOptionsReorder,
+} from './actions/reorderResources'
 export {
   default as deleteResources,
   defaultOptions as defaultOptionsDelete,
@@ -23,8 +44,41 @@ export {
   PESS_GET_START,
   PESS_GET_SUCCESS,
   PESS_GET_FAIL,
+  PESS_GET_INVALIDATE,
 } from './reductions/pessimisticGet'
 
+export { MERGE_RELATED } from './reductions/mergeRelated'
+
+export { CLEAR_ERRORS } from './reductions/errors'
+
+export {
+  REORDER_ALL,
+  REORDER_START,
+  REORDER_SUCCESS,
+  REORDER_FAIL,
+} from './reductions/order'
+
+export {
+  REDO,
+  UNDO,
+  UNDO_ALL,
+} from './reductions/undo'
+
+export {
+  DEQUEUE_MUTATION,
+  OFFLINE_QUEUE_ALL,
+  QUEUE_MUTATION,
+} from './reductions/offlineQueue'
+
+export { serializeError } from './utils'
+
+export {
+  PESS_GET_ONE_ALL,
+  PESS_GET_ONE_START,
+  PESS_GET_ONE_SUCCESS,
+  PESS_GET_ONE_FAIL,
+} from './reductions/pessimisticGetOne'
+
 export {
   OPT_DELETE_START,
   OPT_DELETE_SUCCESS,
@@ -32,6 +86,13 @@ export {
   OPT_DELETE_ALL,
 } from './reductions/optimisticDelete'
 
+export {
+  PESS_DELETE_START,
+  PESS_DELETE_SUCCESS,
+  PESS_DELETE_FAIL,
+  PESS_DELETE_ALL,
+} from './reductions/pessimisticDelete'
+
 export {
   OPT_PATCH_START,
   OPT_PATCH_SUCCESS,
@@ -39,6 +100,34 @@ export {
   OPT_PATCH_ALL,
 } from './reductions/optimisticPatch'
 
+export {
+  PESS_PATCH_START,
+  PESS_PATCH_SUCCESS,
+  PESS_PATCH_FAIL,
+  PESS_PATCH_ALL,
+} from './reductions/pessimisticPatch'
+
+export {
+  OPT_POST_START,
+  OPT_POST_SUCCESS,
+  OPT_POST_FAIL,
+  OPT_POST_ALL,
+} from './reductions/optimisticPost'
+
+export {
+  OPT_PUT_START,
+  OPT_PUT_SUCCESS,
+  OPT_PUT_FAIL,
+  OPT_PUT_ALL,
+} from './reductions/optimisticPut'
+
+export {
+  PESS_PUT_START,
+  PESS_PUT_SUCCESS,
+  PESS_PUT_FAIL,
+  PESS_PUT_ALL,
+} from './reductions/pessimisticPut'
+
 export {
   PESS_POST_ALL,
   PESS_POST_START,
@@ -46,6 +135,43 @@ export {
   PESS_POST_FAIL,
 } from './reductions/pessimisticPost'
 
+export {
+  denormalizeResource,
+  normalizeResources,
+} from './normalize'
+
+export {
+  defaultRetryOptions,
+  withRetries,
+} from './retry'
+
+export { defaultQueueOptions } from './offlineQueue'
+
+export {
+  defaultEndpointOptions,
+  fillEndpoint,
+  getPathParamNames,
+} from './endpoints'
+
+export { listResources } from './listing'
+
+export {
+  createAxiosTransport,
+  createFetchTransport,
+  toQueryString,
+} from './transports'
+
+export {
+  default as createResource,
+  defaultOptions as defaultOptionsCreateResource,
+} from './createResource'
+
+export {
+  API_REQUEST,
+  apiRequest,
+  createApiMiddleware,
+} from './middleware'
+
 export {
   default as generateActions,
 } from './generateActions'
@@ -0,0 +1,127 @@
+import * as R from 'ramda'
+
+import { mapIndexed } from './functional'
+
+
+/**
+ * Sorting, filtering and searching of lists of resources, as done by the selectors made by
+ * `createListSelector` (see `generateSelectors`).  A list is described by an object with any of:
+ *
+ *   - {Array|string|function|object} sort - Sort keys, applied in turn to break ties.  Each is
+ *     the name of a property to sort by, prefixed with '-' to sort by it in descending order, an
+ *     object like { key, descending }, or a function comparing two resources like those given
+ *     to `Array.prototype.sort`.  Resources that tie on every key keep their order.  Missing
+ *     values go last.
+ *
+ *   - {Array|object|function} filter - What resources must match to be listed: a predicate
+ *     that accepts a resource, an object of property names to matchers, or an Array of those,
+ *     all of which must match.  A matcher is a predicate that accepts the property's value, an
+ *     Array of values the property may have, or a value the property must equal.
+ *
+ *   - {string} search - Text to search for in the properties named in `searchFields`,
+ *     ignoring case.  A resource matches if each word of the text is in one of its properties.
+ *     The search is ignored if there are no `searchFields`, rather than matching nothing.
+ *
+ *   - {Array} searchFields - The names of the properties to search
+ *
+ * @example
+ * listResources(keywords, {
+ *   filter: { status: ['active', 'paused'], bid: bid => bid > 0.5 },
+ *   search: 'running sh',
+ *   searchFields: ['text', 'adGroupName'],
+ *   sort: ['-impressions', 'text'],
+ * })
+ */
+
+
+// helpers
+const isNil = value => value === null || value === undefined
+const toArray = value => (value instanceof Array ? value : [value])
+const compareValues = (a, b) => {
+  if (typeof a === 'string' && typeof b === 'string') {
+    return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' })
+  }
+  if (a < b) {
+    return -1
+  }
+  return a > b ? 1 : 0
+}
+const toComparator = (sortKey) => {
+  if (typeof sortKey === 'function') {
+    return sortKey
+  }
+  const { descending, key } = typeof sortKey === 'string'
+    ? { descending: R.startsWith('-', sortKey), key: sortKey.replace(/^-/, '') }
+    : sortKey
+  return (a, b) => {
+    const [valueA, valueB] = [a[key], b[key]]
+    // missing values go last, whichever the direction
+    if (isNil(valueA) || isNil(valueB)) {
+      return isNil(valueA) - isNil(valueB)
+    }
+    return descending ? compareValues(valueB, valueA) : compareValues(valueA, valueB)
+  }
+}
+const matchesValue = (matcher, value) => {
+  if (typeof matcher === 'function') {
+    return Boolean(matcher(value))
+  }
+  if (matcher instanceof Array) {
+    return R.contains(value, matcher)
+  }
+  return R.equals(matcher, value)
+}
+const toPredicate = (filter) => {
+  if (typeof filter === 'function') {
+    return resource => Boolean(filter(resource))
+  }
+  return resource => R.all(
+    ([key, matcher]) => matchesValue(matcher, resource[key]),
+    R.toPairs(filter),
+  )
+}
+const toSearchPredicate = (search, searchFields) => {
+  const words = R.reject(R.isEmpty, R.split(/\s+/, search.trim().toLowerCase()))
+  return (resource) => {
+    const texts = R.map(
+      field => (isNil(resource[field]) ? '' : String(resource[field]).toLowerCase()),
+      searchFields,
+    )
+    return R.all(word => R.any(text => R.contains(word, text), texts), words)
+  }
+}
+
+
+/**
+ * @description
+ * Sorts, filters and searches resources
+ * @param  {Array} resources  The resources, in order
+ * @param  {object} listing   How to list them; See above
+ *
+ * @return {Array}            The resources that match, in their sorted order.  The same Array
+ *                            is returned if nothing is to be done.
+ */
+export function listResources(resources, {
+  filter, search, searchFields = [], sort,
+} = {}) {
+  const predicates = [
+    ...R.map(toPredicate, isNil(filter) ? [] : toArray(filter)),
+    ...(search && search.trim() && searchFields.length
+      ? [toSearchPredicate(search, searchFields)]
+      : []),
+  ]
+  const comparators = R.map(toComparator, isNil(sort) ? [] : toArray(sort))
+  if (!predicates.length && !comparators.length) {
+    return resources
+  }
+  const matching = predicates.length ? R.filter(R.allPass(predicates), resources) : resources
+  // ties are broken by the resources' original order, so the sort is stable
+  return R.map(R.prop('resource'), R.sort(
+    (a, b) => R.reduce(
+      (result, comparator) => result || comparator(a.resource, b.resource),
+      0,
+      comparators,
+    ) || a.index - b.index,
+    mapIndexed((resource, index) => ({ index, resource }), matching),
+  ))
+}
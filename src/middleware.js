@@ -0,0 +1,155 @@
+import * as R from 'ramda'
+
+import clearErrorsActions from './actions/clearErrors'
+import deleteActions from './actions/deleteResources'
+import flushQueueActions from './actions/flushQueue'
+import getOneActions from './actions/getResource'
+import getActions from './actions/getResources'
+import patchActions from './actions/patchResources'
+import postActions from './actions/postResources'
+import putActions from './actions/putResources'
+import reorderActions from './actions/reorderResources'
+import undoActions from './actions/undo'
+import generateActions from './generateActions'
+
+
+/**
+ * The request middleware runs the library's actions from plain, serializable actions instead
+ * of thunks, so `redux-thunk` isn't needed, and requests can be logged, replayed and persisted
+ * like any other action.  A request action looks like:
+ * @example
+ * {
+ *   type: '@@autoReduxApi/REQUEST',
+ *   operation: 'patchResources',
+ *   namespace: 'model/keywords',
+ *   endpoint: '/keywords/:id',
+ *   payload: [{ id: 5, bid: 0.5 }, { bid: 0.75 }],
+ * }
+ *
+ *   - {string} operation - The name of the action to run, like 'getResources',
+ *     'patchResources' or 'undo'
+ *   - {string} namespace - Redux namespace of the resource's slice
+ *   - {string} endpoint - (Defaults to that of the resource given to the middleware) Api
+ *     endpoint, which may have templated segments (see `./endpoints.js`)
+ *   - {Array} payload - (Defaults to none) The arguments the action accepts when dispatched,
+ *     like the resources and new properties of `patchResources`
+ *   - {object} options - (Optional) Options of the action, on top of those given to the
+ *     middleware, like `{ PATCH: { patchOptimistic: false } }`
+ *   - {string} transport - (Defaults to 'default') The name of the transport to make the
+ *     requests with
+ *
+ * The action runs the same START/SUCCESS/FAIL lifecycle as when its thunk is dispatched, and
+ * dispatching the request action returns the same Promise.  Options that aren't serializable,
+ * like the request functions and the functions translating requests and responses, are given to
+ * the middleware instead.  The request action is passed on to the next middleware before it is
+ * run, so middleware after this one sees it.
+ */
+
+export const API_REQUEST = '@@autoReduxApi/REQUEST'
+
+// helpers
+const operationActions = {
+  ...clearErrorsActions,
+  ...deleteActions,
+  ...flushQueueActions,
+  ...getActions,
+  ...getOneActions,
+  ...patchActions,
+  ...postActions,
+  ...putActions,
+  ...reorderActions,
+  ...undoActions,
+}
+
+
+/**
+ * @description
+ * Creates a request action for the request middleware
+ * @example
+ * dispatch(apiRequest('getResources', 'model/keywords', '/keywords', [{ adGroupId: 3 }]))
+ * @param  {string} operation  The name of the action to run  Ex: 'getResources'
+ * @param  {string} namespace  Redux namespace of the resource's slice
+ * @param  {string} endpoint   Api endpoint, or `null` for that of the resource given to the
+ *                             middleware
+ * @param  {Array} payload     (Optional) The arguments the action accepts when dispatched
+ * @param  {object} rest       (Optional) The `options` and `transport` of the request; See above
+ *
+ * @return {object}            The request action
+ */
+export function apiRequest(operation, namespace, endpoint, payload = [], rest = {}) {
+  return {
+    ...rest,
+    endpoint,
+    namespace,
+    operation,
+    payload,
+    type: API_REQUEST,
+  }
+}
+
+
+/**
+ * @description
+ * Creates Redux middleware that runs request actions (see above)
+ * @example
+ * const store = createStore(rootReducer, applyMiddleware(createApiMiddleware({
+ *   resources: {
+ *     'model/keywords': { endpoint: '/keywords/:id', options: { PATCH: { undoable: true } } },
+ *   },
+ *   transports: { default: createFetchTransport({ baseURL: 'https://api.example.com' }) },
+ * })))
+ *
+ * @param  {object} config  (Optional) Config:
+ *                            - {object} options - (Optional) Options of the actions of every
+ *                              resource, as given to `generateActions`
+ *                            - {object} resources - (Optional) Map of namespaces to the
+ *                              `endpoint` and the `options` of each resource.  Requests of
+ *                              namespaces that aren't in it must have their `endpoint`.
+ *                            - {object} transports - (Optional) Map of names to transports (see
+ *                              `./transports.js`), or to any object of request functions.  Those
+ *                              named 'default' make the requests that don't name a transport.
+ *
+ * @return {function}       The middleware
+ */
+export function createApiMiddleware(config = {}) {
+  const { options: sharedOptions = {}, resources = {}, transports = {} } = config
+  return ({ dispatch, getState }) => {
+    // actions may run other actions, which runs them without `redux-thunk`
+    const run = action => (typeof action === 'function' ? action(run, getState) : dispatch(action))
+    return next => (action) => {
+      if (!action || action.type !== API_REQUEST) {
+        return next(action)
+      }
+      const {
+        namespace, operation, options, payload = [], transport = 'default',
+      } = action
+      const resource = resources[namespace] || {}
+      const endpoint = action.endpoint || resource.endpoint
+      next(action)
+      if (typeof operationActions[operation] !== 'function') {
+        return Promise.reject(new Error(
+          `In \`autoReduxApi\`, unknown operation '${operation}' requested; Must be among ${
+            JSON.stringify(R.keys(operationActions))}`,
+        ))
+      }
+      if (typeof endpoint !== 'string') {
+        return Promise.reject(new Error(
+          `In \`autoReduxApi\`, no endpoint for the request of '${namespace}'; Supply it in the `
+          + 'request or in the `resources` given to the middleware',
+        ))
+      }
+      if (!transports[transport] && transport !== 'default') {
+        return Promise.reject(new Error(
+          `In \`autoReduxApi\`, no transport named '${transport}' was given to the middleware`,
+        ))
+      }
+      const actions = generateActions({ ...transports[transport], ...sharedOptions })(
+        namespace,
+        R.pick([operation], operationActions),
+        endpoint,
+        R.mergeDeepRight(resource.options || {}, options || {}),
+      )
+      return run(actions[operation](...payload))
+    }
+  }
+}
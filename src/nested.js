@@ -0,0 +1,90 @@
+import * as R from 'ramda'
+
+import { initialSliceState } from './withReductions'
+
+
+/**
+ * Nested mode keeps the resources of each parent separately, like the ad groups of each
+ * campaign, so those of several parents can be loaded at once.  It is turned on by giving the
+ * same `parentKey` option, the property of the resources that holds their parent's ID (ex:
+ * 'campaignId'), to `generateActions`, `withReductions` and `generateSelectors`.  Then:
+ *   - Every generated action accepts the parent's ID before its other arguments
+ *     Ex: `adGroupActions.getResources(campaignId, params)`
+ *   - The endpoint's segment for the parent, like the ':campaignId' of
+ *     '/campaigns/:campaignId/adGroups', is filled in with the parent's ID
+ *   - The actions dispatched carry the parent's ID as `parentId`, and only change the state of
+ *     that parent's resources, kept in the `byParent` map of the slice
+ *   - `generateSelectors` returns `getParentSelectors`, which accepts a parent's ID and returns
+ *     the usual selectors for that parent's resources
+ */
+
+
+/**
+ * @description
+ * Identifies the state of a slice, or of one parent's resources in nested mode, for keeping
+ * track of the requests in progress for it
+ * @param  {string} namespace  Redux namespace of the slice
+ * @param  {object} options    Options of the action; In nested mode, they have the `parentId`
+ *
+ * @return {string}            The key
+ */
+export function toSliceKey(namespace, { parentId } = {}) {
+  return parentId === undefined ? namespace : JSON.stringify([namespace, parentId])
+}
+
+
+// helpers
+// The bound functions of each parent of each store, by the store's `getState`, so the same ones
+// are given to every action of a parent, and can key what actions keep per store
+const bindingsByStore = new WeakMap()
+const createBinding = (namespace, namespaceSeparator, parentId, dispatch, getState) => {
+  const typePrefix = `${namespace}${namespaceSeparator}`
+  // types of other slices may start with the namespace too, like those of 'model/campaigns/x'
+  const isOfSlice = ({ type }) => typeof type === 'string'
+    && R.startsWith(typePrefix, type)
+    && !R.contains(namespaceSeparator, type.slice(typePrefix.length))
+  return {
+    dispatch: action => dispatch(
+      action && typeof action === 'object' && isOfSlice(action) && action.parentId === undefined
+        ? { ...action, parentId }
+        : action,
+    ),
+    getState: () => {
+      const state = getState()
+      return {
+        ...state,
+        [namespace]: R.pathOr(initialSliceState, [namespace, 'byParent', parentId], state),
+      }
+    },
+  }
+}
+
+
+/**
+ * @description
+ * Gives a thunk of the resources of one parent `dispatch` and `getState` functions that work
+ * as if the parent's resources were the whole slice.  Actions of the slice that are dispatched
+ * get the parent's ID as `parentId`, and the state got has the parent's state at the slice's
+ * namespace.  The same functions are given for the same parent and store.
+ *
+ * @param  {string} namespace           Redux namespace of the slice
+ * @param  {string} namespaceSeparator  Separator between the namespace and the action type name
+ * @param  {any} parentId               The ID of the parent
+ * @param  {function} dispatch          The Redux `dispatch` function
+ * @param  {function} getState          A function that gets the current state from the store
+ *
+ * @return {object}                     An object with the `dispatch` and `getState` functions
+ */
+export function bindToParent(namespace, namespaceSeparator, parentId, dispatch, getState) {
+  if (!bindingsByStore.has(getState)) {
+    bindingsByStore.set(getState, {})
+  }
+  const bindings = bindingsByStore.get(getState)
+  const bindingKey = JSON.stringify([namespace, namespaceSeparator, parentId])
+  if (!bindings[bindingKey]) {
+    bindings[bindingKey] = createBinding(
+      namespace, namespaceSeparator, parentId, dispatch, getState,
+    )
+  }
+  return bindings[bindingKey]
+}
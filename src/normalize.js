@@ -0,0 +1,148 @@
+import * as R from 'ramda'
+
+
+/**
+ * Helpers for keeping related resources that an API nests within resources (ex: the `campaign`
+ * of an ad group) in their own slices, referenced by ID.
+ *
+ * Relations are described by an object mapping the key of each nested resource to:
+ *   - {string} namespace - Redux namespace of the slice the nested resources belong in
+ *   - {string} idKey - (Defaults to 'id') The identifying property of the nested resources
+ *   - {boolean} many - (Defaults to `false`) Whether the key holds an Array of resources
+ *   - {object} relations - (Optional) Relations of the nested resources themselves
+ * @example
+ * const adGroupRelations = {
+ *   campaign: { namespace: 'model/campaigns' },
+ *   keywords: { namespace: 'model/keywords', many: true },
+ * }
+ */
+
+// helpers
+const toArray = value => (value instanceof Array ? value : [value])
+const isNil = value => value === null || value === undefined
+
+
+/**
+ * @description
+ * Replaces nested related resources with their IDs, and collects the nested resources by the
+ * namespace they belong in
+ * @example
+ * normalizeResources(
+ *   { campaign: { namespace: 'model/campaigns' } },
+ *   [{ id: 7, name: 'Ad group', campaign: { id: 3, name: 'Campaign' } }],
+ * )
+ * // {
+ * //   resources: [{ id: 7, name: 'Ad group', campaign: 3 }],
+ * //   relatedIdKeys: { 'model/campaigns': 'id' },
+ * //   relatedResources: { 'model/campaigns': [{ id: 3, name: 'Campaign' }] },
+ * // }
+ * @param {object} relations  Relations of the resources; See above
+ * @param {Array} resources   Resource objects, possibly with related resources nested in them
+ *
+ * @return {object}           An object with keys:
+ *                              - {Array} resources - The resources, with related resources
+ *                                replaced by their IDs
+ *                              - {object} relatedResources - Arrays of the related resources,
+ *                                indexed by the namespace they belong in
+ *                              - {object} relatedIdKeys - The `idKey` of the relations of each
+ *                                of those namespaces
+ */
+export function normalizeResources(relations, resources) {
+  const relatedResources = {}
+  const relatedIdKeys = {}
+  const collect = (namespace, idKey, related) => {
+    relatedResources[namespace] = R.concat(relatedResources[namespace] || [], related)
+    relatedIdKeys[namespace] = idKey
+  }
+  const normalizeResource = relationsOfResource => resource => R.reduce(
+    (normalized, [key, relation]) => {
+      const {
+        idKey = 'id', many = false, namespace, relations: nested,
+      } = relation
+      const value = normalized[key]
+      if (isNil(value) || typeof value !== 'object') {
+        return normalized // already an ID, or nothing is related
+      }
+      const related = nested
+        ? R.map(normalizeResource(nested), toArray(value))
+        : toArray(value)
+      collect(namespace, idKey, related)
+      const ids = R.map(R.prop(idKey), related)
+      return { ...normalized, [key]: many ? ids : ids[0] }
+    },
+    resource,
+    R.toPairs(relationsOfResource),
+  )
+  const normalized = R.map(normalizeResource(relations), resources)
+  return { relatedIdKeys, relatedResources, resources: normalized }
+}
+
+
+/**
+ * @description
+ * Lists every namespace of related resources, including those of nested relations
+ * @param {object} relations  Relations of the resources; See above
+ *
+ * @return {Array}            Array of unique namespaces
+ */
+export const relatedNamespaces = relations => R.uniq(R.chain(
+  ({ namespace, relations: nested }) => [namespace, ...(nested ? relatedNamespaces(nested) : [])],
+  R.values(relations),
+))
+
+
+/**
+ * @description
+ * Replaces the IDs of related resources with the resources themselves; The reverse of
+ * `normalizeResources`.  IDs of related resources that aren't in their slice are left as-is.
+ * @param {object} relations        Relations of the resource; See above
+ * @param {object} dataByNamespace  Maps of IDs to resources, indexed by namespace
+ * @param {object} resource         A normalized resource object
+ *
+ * @return {object}                 The resource, with related resources nested in it
+ */
+export function denormalizeResource(relations, dataByNamespace, resource) {
+  return R.reduce(
+    (denormalized, [key, { many = false, namespace, relations: nested }]) => {
+      const value = denormalized[key]
+      if (isNil(value)) {
+        return denormalized
+      }
+      const relatedData = dataByNamespace[namespace] || {}
+      const lookUp = (id) => {
+        const related = relatedData[id]
+        if (!related) {
+          return id
+        }
+        return nested ? denormalizeResource(nested, dataByNamespace, related) : related
+      }
+      return { ...denormalized, [key]: many ? R.map(lookUp, value) : lookUp(value) }
+    },
+    resource,
+    R.toPairs(relations),
+  )
+}
+
+
+/**
+ * @description
+ * Dispatches actions that merge related resources into the slices they belong in.  Those slices
+ * must use the `MERGE_RELATED` reducer, which is included in `PESS_GET_ALL`.
+ * @param {function} dispatch           The Redux `dispatch` function
+ * @param {string} namespaceSeparator   Separator between the namespace and the action type name
+ * @param {object} relatedResources     Arrays of related resources, indexed by namespace, as
+ *                                      returned by `normalizeResources`
+ * @param {object} relatedIdKeys        The `idKey` of the related resources of each namespace,
+ *                                      as returned by `normalizeResources`
+ */
+export const mergeRelatedResources = (
+  dispatch, namespaceSeparator, relatedResources, relatedIdKeys = {},
+) => {
+  R.forEachObjIndexed((resources, namespace) => {
+    dispatch({
+      data: resources,
+      idKey: relatedIdKeys[namespace],
+      type: `${namespace}${namespaceSeparator}MERGE_RELATED`,
+    })
+  }, relatedResources)
+}
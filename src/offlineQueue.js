@@ -0,0 +1,95 @@
+/* global navigator */
+import { defaultRetryOptions } from './retry'
+import { serializeError } from './utils'
+
+
+/**
+ * Queueing of mutations that fail because the client is offline, so they can be replayed by
+ * `flushQueue` once it's back online.  These options may be given for all operations, or per
+ * operation in the `POST`, `PATCH` and `DELETE` blocks of options:
+ *
+ *   - {boolean} queueOffline - (Defaults to `false`) Set to `true` to queue POST, PATCH and
+ *     DELETE requests that fail because of connectivity instead of failing them.  Queued
+ *     mutations stay in state as if they were still in progress, so optimistic changes aren't
+ *     rolled back.
+ *
+ *   - {function} isOnline - (Defaults to a function that checks `navigator.onLine`, if there is
+ *     a `navigator`) A function that accepts the argument (options) and returns whether the
+ *     client is online.  Replace it to detect connectivity another way, or to fake it in tests.
+ *
+ *   - {function} isConnectivityError - (Defaults to a function that considers errors to be
+ *     caused by connectivity if the client is offline, if `fetch` couldn't make the request
+ *     (a `TypeError`), or if an `axios` request was sent but got no response) A function that
+ *     accepts the arguments (options, error) and returns whether the request should be queued.
+ *     Other errors, like those without an HTTP status that were thrown by the app's code, fail
+ *     the request.
+ *
+ * Queued mutations are kept in the `offlineQueue` Array of the slice, in the order they were
+ * queued, so they are replayed in that order.
+ */
+
+export const defaultQueueOptions = {
+  isConnectivityError: (options, error) => {
+    if (!options.isOnline(options)) {
+      return true
+    }
+    // canceled requests didn't fail because of connectivity
+    if (!error || (options.isCancel || defaultRetryOptions.isCancel)(error)) {
+      return false
+    }
+    // `fetch` rejects with a TypeError when the request can't be made, like when the network
+    // is down, and `axios` errors have a `request` but no `response` then
+    return error instanceof TypeError || Boolean(!error.response && error.request)
+  },
+  isOnline: () => typeof navigator === 'undefined' || navigator.onLine !== false,
+  queueOffline: false,
+}
+
+
+// helpers
+let queueNum = 0
+const getNextQueueId = () => {
+  queueNum += 1
+  return queueNum
+}
+
+
+/**
+ * @description
+ * Whether a mutation that failed with the given error should be queued instead of failing
+ * @param  {object} options  Options of the action making the request; See above
+ * @param  {Error} error     The error the request failed with
+ *
+ * @return {boolean}         `true` if the mutation should be queued
+ */
+export function shouldQueue(options, error) {
+  const computedOptions = {
+    ...defaultQueueOptions,
+    ...options,
+  }
+  return Boolean(computedOptions.queueOffline)
+    && computedOptions.isConnectivityError(computedOptions, error)
+}
+
+
+/**
+ * @description
+ * Creates the action that adds a mutation to the `offlineQueue` of a slice
+ * @param  {string} namespace           Redux namespace of the slice
+ * @param  {string} namespaceSeparator  Separator between the namespace and the action type name
+ * @param  {string} operation           The operation being queued  Ex: 'PATCH'
+ * @param  {object} mutation            The request being queued, like { data, requestData }
+ * @param  {Error} error                The error the request failed with
+ *
+ * @return {object}                     A Redux action
+ */
+export const queueMutation = (namespace, namespaceSeparator, operation, mutation, error) => ({
+  mutation: {
+    ...mutation,
+    error: serializeError(error),
+    operation,
+    queueId: getNextQueueId(),
+    queuedAt: Date.now(),
+  },
+  type: `${namespace}${namespaceSeparator}QUEUE_MUTATION`,
+})
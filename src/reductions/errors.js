@@ -0,0 +1,75 @@
+import {
+  fromPairs, map, omit, prop,
+} from 'ramda'
+
+import { serializeError } from '../utils'
+
+
+/**
+ * @description
+ * Helper for reducers of failed mutations, which records a serializable version of the error in
+ * `resourceErrors` for each of the resources that failed
+ *
+ * @param {object} state      Previous state of the sliver the reducer is applied to
+ * @param {string} operation  The operation that failed  Ex: 'PATCH'
+ * @param {Array} resources   The resources that failed
+ * @param {Error} error       The error thrown, if any
+ * @param {string} idKey      The name of the identifying property of the resources
+ * @return {object}           New state
+ */
+export const recordResourceErrors = (state, operation, resources, error, idKey) => ({
+  ...state,
+  resourceErrors: {
+    ...state.resourceErrors,
+    ...fromPairs(map(
+      resource => [resource[idKey], { ...serializeError(error), operation }],
+      resources || [],
+    )),
+  },
+})
+
+
+/**
+ * @description
+ * Helper for reducers of mutations that are starting, which forgets any errors from previous
+ * attempts to mutate the resources
+ *
+ * @param {object} state      Previous state of the sliver the reducer is applied to
+ * @param {Array} resources   The resources being mutated
+ * @param {string} idKey      The name of the identifying property of the resources
+ * @return {object}           New state
+ */
+export const forgetResourceErrors = (state, resources, idKey) => ({
+  ...state,
+  resourceErrors: omit(map(prop(idKey), resources || []), state.resourceErrors),
+})
+
+
+/**
+ * @description
+ * Reducer that forgets errors.  If the action has `ids`, only the errors of those resources are
+ * forgotten.  Otherwise, all errors in the slice are forgotten.
+ *
+ * @param {object} state   Previous state of the sliver this reducer is applied to
+ * @param {object} action  The action with type like `CLEAR_ERRORS`, optionally containing
+ *                         an `ids` array property
+ * @return {object}        New state
+ */
+function clearErrorsReducer(state, { ids }) {
+  if (ids) {
+    return {
+      ...state,
+      resourceErrors: omit(ids, state.resourceErrors),
+    }
+  }
+  const withoutGetError = stateWithGetError => ({ ...stateWithGetError, getError: null })
+  return {
+    ...state,
+    getError: null,
+    postError: null,
+    queries: map(withoutGetError, state.queries || {}),
+    resourceErrors: {},
+    singleGets: map(withoutGetError, state.singleGets || {}),
+  }
+}
+export const CLEAR_ERRORS = { CLEAR_ERRORS: clearErrorsReducer }
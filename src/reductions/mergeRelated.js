@@ -0,0 +1,33 @@
+import { reduce } from 'ramda'
+
+
+/**
+ * @description
+ * Reducer that merges resources that were nested within resources of another slice into
+ * `data`.  Each is shallowly merged into any version of it already there, since the nested
+ * version may only have some of its properties, like { id, name }.  `order` is left alone,
+ * since these resources weren't requested for this slice.  See `../normalize.js`.
+ *
+ * @param {object} state   Previous state of the sliver this reducer is applied to
+ * @param {object} action  The action with type like `MERGE_RELATED` and containing a `data`
+ *                         array property that contains the related resources, and the `idKey`
+ *                         of the relation they were nested by
+ * @param {object} options idKey: The name of the identifying property of the resource type,
+ *                         used if the action has no `idKey`
+ * @return {object}        New state
+ */
+function mergeRelatedReducer(state, { data: resources, idKey: relationIdKey }, { idKey }) {
+  const key = relationIdKey || idKey
+  return {
+    ...state,
+    data: reduce(
+      (data, resource) => ({
+        ...data,
+        [resource[key]]: { ...data[resource[key]], ...resource },
+      }),
+      state.data,
+      resources,
+    ),
+  }
+}
+export const MERGE_RELATED = { MERGE_RELATED: mergeRelatedReducer }
@@ -0,0 +1,45 @@
+import { propEq, reject } from 'ramda'
+
+
+/**
+ * @description
+ * Reducer that adds a mutation that failed because of connectivity to the end of
+ * `offlineQueue`.  The state of the mutation, like its optimistic changes, is left as it is.
+ *
+ * @param {object} state   Previous state of the sliver this reducer is applied to
+ * @param {object} action  The action with type like `QUEUE_MUTATION` and containing a `mutation`
+ *                         object property like
+ *                         { data, error, operation, queueId, queuedAt, requestData }
+ * @return {object}        New state
+ */
+function queueMutationReducer(state, { mutation }) {
+  return {
+    ...state,
+    offlineQueue: [...(state.offlineQueue || []), mutation],
+  }
+}
+export const QUEUE_MUTATION = { QUEUE_MUTATION: queueMutationReducer }
+
+
+/**
+ * @description
+ * Reducer that removes a mutation from `offlineQueue` once it has been replayed
+ *
+ * @param {object} state   Previous state of the sliver this reducer is applied to
+ * @param {object} action  The action with type like `DEQUEUE_MUTATION` and containing the
+ *                         `queueId` of the mutation
+ * @return {object}        New state
+ */
+function dequeueMutationReducer(state, { queueId }) {
+  return {
+    ...state,
+    offlineQueue: reject(propEq('queueId', queueId), state.offlineQueue || []),
+  }
+}
+export const DEQUEUE_MUTATION = { DEQUEUE_MUTATION: dequeueMutationReducer }
+
+
+export const OFFLINE_QUEUE_ALL = {
+  ...QUEUE_MUTATION,
+  ...DEQUEUE_MUTATION,
+}
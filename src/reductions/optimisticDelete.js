@@ -1,7 +1,21 @@
 import {
-  forEach, fromPairs, map, toPairs,
+  findIndex, forEach, has, map, omit, prop,
 } from 'ramda'
 
+import { forgetResourceErrors, recordResourceErrors } from './errors'
+import { removeFromOrder } from './order'
+import { forgetUndoable, recordUndoable } from './undo'
+
+
+// helpers
+// Counts one of the deletes of a resource as concluded
+const concludeDelete = (numDeletesInProgress, id) => {
+  const remaining = (numDeletesInProgress[id] || 1) - 1
+  return remaining
+    ? { ...numDeletesInProgress, [id]: remaining }
+    : omit([String(id)], numDeletesInProgress)
+}
+
 
 /**
  * @description
@@ -9,10 +23,12 @@ import {
  * version of each resource that is deleted in case we need to roll the change back in
  * case the delete fails.
  *
- * NOTE: If the user is able to delete the same resource instance (ex: product with id
- * "193850913805913") against before a previous delete has concluded, strange things can occur.
- * The developer building the UI is responsible for preventing this.  They can determine if a
- * resource is being deleted or not by seeing if it exists in `preDeleteResources`.
+ * The same resource may be deleted again before a previous delete of it has concluded.  The
+ * number of deletes of each resource in progress is kept in `numDeletesInProgress`, so the
+ * resource is only restored if all of them fail.
+ *
+ * If the action is `undoable`, the delete is recorded in `undoHistory`, along with the index
+ * of each resource in `order`, so undoing it can put the resources back where they were.
  *
  * @param {object} state   Previous state of the sliver this reducer is applied to
  * @param {object} action  The action with type like `OPT_DELETE_${resourceName}_START` and
@@ -20,29 +36,38 @@ import {
  *                         to be deleted
  * @param {object} options idKey: The name of the identifying property of the resource type
  *                         being deleted
+ *                         undoLimit: (Optional) The number of mutations to keep in
+ *                         `undoHistory`
  *
  * @return {object}        New state
  */
-function deleteStartReducer(state, { data: initialDeletes }, { idKey }) {
-  const { data: oldData, preDeleteResources: oldPreDeleteResources } = state
-  const preDeleteResources = { ...oldPreDeleteResources } // copy so we can mutate
+function deleteStartReducer(state, action, options) {
+  const { data: initialDeletes } = action
+  const { idKey } = options
+  // copy so we can mutate
+  const data = { ...state.data }
+  const numDeletesInProgress = { ...state.numDeletesInProgress }
+  const preDeleteResources = { ...state.preDeleteResources }
   // TODO: If nothing will pass a single resource as `data`, do away with this check
   const deletes = initialDeletes instanceof Array ? initialDeletes : [initialDeletes]
-  const deletesMap = fromPairs(map(d => [d[idKey], d], deletes))
-  const data = {}
-  forEach(([id, resource]) => {
-    if (deletesMap[id]) {
-      // In case a duplicate delete is attempted
-      preDeleteResources[id] = resource || preDeleteResources[id]
-    } else {
-      data[id] = resource
+  const deletedResources = []
+  const positions = []
+  forEach((deletion) => {
+    const id = deletion[idKey]
+    if (has(id, data)) {
+      deletedResources.push(data[id])
+      positions.push(findIndex(orderId => String(orderId) === String(id), state.order || []))
+      preDeleteResources[id] = data[id]
+      delete data[id]
     }
-  }, toPairs(oldData || {}))
-  return {
+    numDeletesInProgress[id] = (numDeletesInProgress[id] || 0) + 1
+  }, deletes)
+  return recordUndoable(forgetResourceErrors({
     ...state,
     data,
+    numDeletesInProgress,
     preDeleteResources,
-  }
+  }, deletes, idKey), action, 'DELETE', deletedResources, options, { positions })
 }
 export const OPT_DELETE_START = {
   OPT_DELETE_START: deleteStartReducer,
@@ -51,9 +76,9 @@ export const OPT_DELETE_START = {
 
 /**
  * @description
- * Reducer that forgets preDelete versions of resources that were successfully deleted.
- *
- * NOTE: Does not bother removing ids from `order`
+ * Reducer that forgets preDelete versions of resources that were successfully deleted, and
+ * removes their ids from `order`.  Other deletes of the same resources that are still in
+ * progress can no longer restore them.
  *
  * @param {object} state  Previous state of the sliver this reducer is applied to
  * @param {object} action The action with type like `OPT_DELETE_${resourceName}_SUCCESS`
@@ -63,16 +88,18 @@ export const OPT_DELETE_START = {
  * @return {object}       New state
  */
 function deleteSuccessReducer(state, { data: deletes }, { idKey }) {
-  const { preDeleteResources: oldPreDeleteResources } = state
-  const preDeleteResources = { ...oldPreDeleteResources } // copy so we can mutate
+  let numDeletesInProgress = state.numDeletesInProgress || {}
+  const preDeleteResources = { ...state.preDeleteResources } // copy so we can mutate
   forEach((deletion) => {
     const id = deletion[idKey]
+    numDeletesInProgress = concludeDelete(numDeletesInProgress, id)
     delete preDeleteResources[id]
   }, deletes)
-  return {
+  return removeFromOrder({
     ...state,
+    numDeletesInProgress,
     preDeleteResources,
-  }
+  }, map(prop(idKey), deletes))
 }
 export const OPT_DELETE_SUCCESS = {
   OPT_DELETE_SUCCESS: deleteSuccessReducer,
@@ -81,36 +108,36 @@ export const OPT_DELETE_SUCCESS = {
 
 /**
  * @description
- * Reducer that forgets preDelete versions of resources that were successfully deleted.
+ * Reducer that restores resources that failed to be deleted from their preDelete versions,
+ * once no other deletes of them are in progress.  The delete is forgotten by `undoHistory`.
  *
  * @param {object} state    Previous state of the sliver this reducer is applied to
- * @param {object} action   The action with type like `OPT_DELETE_${resourceName}_SUCCESS` and
+ * @param {object} action   The action with type like `OPT_DELETE_${resourceName}_FAIL` and
  *                          containing a `data` array property that contains the resources that
- *                          were deleted
+ *                          failed to be deleted
  * @param {object} options  idKey: The name of the identifying property of the resource type
  *                          being deleted
  * @return {object}         New state
  */
-function deleteFailReducer(state, { data: deletes }, { idKey }) {
-  const { data: oldData, preDeleteResources: oldPreDeleteResources } = state
-  const data = { ...oldData }
-  const deletesMap = fromPairs(map(d => [d[idKey], d], deletes))
-  const preDeleteResources = {}
-  forEach(([id, oldResource]) => {
-    if (!oldResource) {
-      return
-    }
-    if (deletesMap[id]) {
-      data[id] = oldResource
-    } else {
-      preDeleteResources[id] = oldResource
+function deleteFailReducer(state, { data: deletes, error, mutationId }, { idKey }) {
+  // copy so we can mutate
+  const data = { ...state.data }
+  const preDeleteResources = { ...state.preDeleteResources }
+  let numDeletesInProgress = state.numDeletesInProgress || {}
+  forEach((deletion) => {
+    const id = deletion[idKey]
+    numDeletesInProgress = concludeDelete(numDeletesInProgress, id)
+    if (!numDeletesInProgress[id] && preDeleteResources[id]) {
+      data[id] = preDeleteResources[id]
+      delete preDeleteResources[id]
     }
-  }, (toPairs(oldPreDeleteResources || {})))
-  return {
+  }, deletes)
+  return forgetUndoable(recordResourceErrors({
     ...state,
     data,
+    numDeletesInProgress,
     preDeleteResources,
-  }
+  }, 'DELETE', deletes, error, idKey), mutationId)
 }
 export const OPT_DELETE_FAIL = {
   OPT_DELETE_FAIL: deleteFailReducer,
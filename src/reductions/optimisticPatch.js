@@ -1,7 +1,24 @@
 import {
-  forEach, fromPairs, map, prop, toPairs,
+  findIndex, forEach, has, propEq, reduce, remove,
 } from 'ramda'
 
+import { forgetResourceErrors, recordResourceErrors } from './errors'
+import { forgetUndoable, recordUndoable } from './undo'
+
+
+// helpers
+const applyPatches = (resource, chain) => reduce(
+  (patched, { patch }) => ({ ...patched, ...patch }),
+  resource,
+  chain,
+)
+// The index, in a resource's chain, of the patch an action concluded: the one it started, or
+// the oldest one if the action doesn't say.  -1 if the patch it started is no longer pending,
+// like after it was rolled back, so no other patch is mistaken for it.
+const getConcludedIndex = (chain, mutationId) => (mutationId === undefined
+  ? 0
+  : findIndex(propEq('mutationId', mutationId), chain))
+
 
 /**
  * @description
@@ -9,64 +26,93 @@ import {
  * version of each resource that is patched in case we need to roll the change back in
  * case the patch fails and we have to roll back.
  *
- * NOTE: If the user is able to patch the same resource instance (ex: product with id
- * "193850913805913"), race conditions can occur and cause strange issues.  The developer
- * building the UI and actions is responsible for preventing this.  They can determine
- * if a resource is being patched or not by seeing if it exists in `prePatchResources`.
+ * The same resource may be patched again before its earlier patches conclude.  The version of
+ * the resource from before its first pending patch is kept in `prePatchResources`, and its
+ * pending patches are kept in order in `patchChains`, so each of them can be rolled back on
+ * its own.
+ *
+ * If the action is `undoable`, the patch is recorded in `undoHistory`.
  *
  * @param {object} state   Previous state of the sliver this reducer is applied to
  * @param {object} action  The action with type like `OPT_PATCH_${resourceName}_START` and
  *                         containing a `data` array property that contains the patches to be
- *                         applied
+ *                         applied, and a `mutationId` identifying the request
  * @param {object} options idKey: The name of the identifying property of the resource type
  *                         being patched
+ *                         undoLimit: (Optional) The number of mutations to keep in
+ *                         `undoHistory`
  * @return {object}        New state
  */
-function patchStartReducer(state, {
-  data: patches,
-}, { idKey }) {
-  const { data: oldData, prePatchResources: oldPrePatchResources } = state
-  const prePatchResources = { ...oldPrePatchResources } // copy so we can mutate
-  const patchesMap = fromPairs(map(p => [p[idKey], p], patches))
-  const data = fromPairs(
-    map(([id, resource]) => {
-      if (patchesMap[id]) {
-        prePatchResources[id] = resource
-        return [id, { ...resource, ...patchesMap[id] }]
-      }
-      return [id, resource]
-    }, toPairs(oldData || {})),
-  )
-  return {
+function patchStartReducer(state, action, options) {
+  const { data: patches, mutationId } = action
+  const { idKey } = options
+  // copy so we can mutate
+  const data = { ...state.data }
+  const patchChains = { ...state.patchChains }
+  const prePatchResources = { ...state.prePatchResources }
+  const patchedResources = []
+  forEach((patch) => {
+    const id = patch[idKey]
+    if (!has(id, data)) {
+      return
+    }
+    patchedResources.push(data[id])
+    if (!has(id, prePatchResources)) {
+      prePatchResources[id] = data[id]
+    }
+    patchChains[id] = [...(patchChains[id] || []), { mutationId, patch }]
+    data[id] = { ...data[id], ...patch }
+  }, patches)
+  return recordUndoable(forgetResourceErrors({
     ...state,
     data,
+    patchChains,
     prePatchResources,
-  }
+  }, patches, idKey), action, 'PATCH', patchedResources, options)
 }
 export const OPT_PATCH_START = { OPT_PATCH_START: patchStartReducer }
 
 
 /**
  * @description
- * Reducer that forgets succuessfully patched resources' histories
+ * Reducer that forgets succuessfully patched resources' histories.  If a resource has other
+ * patches pending, the successful patch is applied to its pre-patch version instead, so rolling
+ * those back won't undo it.
  *
  * @param {object} state   Previous state of the sliver this reducer is applied to
  * @param {object} action  The action with type like `OPT_PATCH_${resourceName}_SUCCESS` and
  *                         containing a `data` array property that contains the patches that
- *                         were applied
+ *                         were applied, and the `mutationId` of the request
  * @param {object} options idKey: The name of the identifying property of the resource type
  *                         being patched
  * @return {object}        New state
  */
 function patchSuccessReducer(state, {
   data: patches,
+  mutationId,
 }, { idKey }) {
+  // copy so we can mutate
+  const patchChains = { ...state.patchChains }
   const prePatchResources = { ...state.prePatchResources }
-  forEach((id) => {
-    delete prePatchResources[id]
-  }, map(prop(idKey), patches))
+  forEach((patch) => {
+    const id = patch[idKey]
+    const chain = patchChains[id] || []
+    const concludedIndex = getConcludedIndex(chain, mutationId)
+    if (concludedIndex === -1) {
+      return
+    }
+    const laterChain = remove(concludedIndex, 1, chain)
+    if (!laterChain.length) {
+      delete patchChains[id]
+      delete prePatchResources[id]
+      return
+    }
+    patchChains[id] = laterChain
+    prePatchResources[id] = applyPatches(prePatchResources[id], [chain[concludedIndex]])
+  }, patches)
   return {
     ...state,
+    patchChains,
     prePatchResources,
   }
 }
@@ -75,14 +121,16 @@ export const OPT_PATCH_SUCCESS = { OPT_PATCH_SUCCESS: patchSuccessReducer }
 
 /**
  * @description
- * Reducer that restores pre-patch resources from state, since there was a failure while
- * attempting to patch those resources.  The affected resources will no longer appear as
- * being in the process of being patched.
+ * Reducer that rolls back patches that failed.  Each affected resource is restored to its
+ * pre-patch version, with any of its other pending patches applied again, so a failure in the
+ * middle of a chain of patches only undoes the patch that failed.  Resources with no other
+ * patches pending will no longer appear as being in the process of being patched.  The patch
+ * is forgotten by `undoHistory`.
  *
  * @param {object} state   Previous state of the sliver this reducer is applied to
  * @param {object} action  The action with type like `OPT_PATCH_${resourceName}_FAIL` and
  *                         containing a `data` array property that contains the patches we
- *                         attempted to apply
+ *                         attempted to apply, and the `mutationId` of the request
  * @param {object} options idKey: The name of the identifying property of the resource type
  *                         being patched
  * @return {object}        New state
@@ -90,23 +138,45 @@ export const OPT_PATCH_SUCCESS = { OPT_PATCH_SUCCESS: patchSuccessReducer }
 function patchFailReducer(state, {
   data: patches,
   error,
+  mutationId,
 }, { idKey }) {
-  Function.prototype(error) // noop, since we receive `error` for debugging here
-  const { data: oldData, prePatchResources: oldPrePatchResources } = state
-  const prePatchResources = { ...oldPrePatchResources } // copy so we can mutate
-  const patchesMap = fromPairs(map(p => [p[idKey], p], patches))
-  const data = fromPairs(map(([id, resource]) => {
-    if (patchesMap[id]) {
+  // copy so we can mutate
+  const data = { ...state.data }
+  const patchChains = { ...state.patchChains }
+  const preDeleteResources = { ...state.preDeleteResources }
+  const prePatchResources = { ...state.prePatchResources }
+  forEach((patch) => {
+    const id = patch[idKey]
+    if (!has(id, prePatchResources)) {
+      return
+    }
+    const chain = patchChains[id] || []
+    const concludedIndex = getConcludedIndex(chain, mutationId)
+    if (concludedIndex === -1) {
+      return
+    }
+    const laterChain = remove(concludedIndex, 1, chain)
+    const resource = applyPatches(prePatchResources[id], laterChain)
+    // a resource being deleted is restored as it should be if its delete fails
+    if (has(id, data)) {
+      data[id] = resource
+    } else if (has(id, preDeleteResources)) {
+      preDeleteResources[id] = resource
+    }
+    if (laterChain.length) {
+      patchChains[id] = laterChain
+    } else {
+      delete patchChains[id]
       delete prePatchResources[id]
-      return [id, oldPrePatchResources[id]]
     }
-    return [id, resource]
-  }, toPairs(oldData || {})))
-  return {
+  }, patches)
+  return forgetUndoable(recordResourceErrors({
     ...state,
     data,
+    patchChains,
+    preDeleteResources,
     prePatchResources,
-  }
+  }, 'PATCH', patches, error, idKey), mutationId)
 }
 export const OPT_PATCH_FAIL = { OPT_PATCH_FAIL: patchFailReducer }
 
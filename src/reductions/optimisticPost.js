@@ -0,0 +1,127 @@
+import {
+  concat, contains, filter, fromPairs, has, map, prop, reject, toPairs,
+} from 'ramda'
+
+import { serializeError } from '../utils'
+import { recordResourceErrors } from './errors'
+import { insertIntoOrder } from './order'
+
+
+/**
+ * @description
+ * Reducer that optimistically places new resources in `data` and their ids in `order`, at the
+ * end unless the action has a `position` (see `insertIntoOrder`).  The resources are stored
+ * under the temporary ids given to them by `postRequestDataToDataArray`
+ * (ex: "autoReduxApi_prepos_1") until the API tells us their real ids.
+ *
+ * @param {object} state   Previous state of the sliver this reducer is applied to
+ * @param {object} action  The action with type like `OPT_POST_${resourceName}_START` and
+ *                         containing a `data` array property that contains the new resources,
+ *                         each with a temporary id, and optionally a `position`
+ * @param {object} options idKey: The name of the identifying property of the resource type
+ *                         being posted
+ * @return {object}        New state
+ */
+function postStartReducer(state, { data: posts, position }, { idKey }) {
+  const data = {
+    ...state.data,
+    ...fromPairs(map(resource => [resource[idKey], resource], posts)),
+  }
+  return {
+    ...state,
+    data,
+    numPosting: state.numPosting + 1,
+    order: insertIntoOrder(state.order, map(prop(idKey), posts), position, data),
+  }
+}
+export const OPT_POST_START = { OPT_POST_START: postStartReducer }
+
+
+/**
+ * @description
+ * Reducer that swaps the temporary ids of optimistically posted resources for the ids assigned
+ * by the API, in both `data` and `order`, keeping each resource's position in `order`.
+ *
+ * Placeholders from `pendingData` that are still in `data` are paired, in order, with the
+ * resources in the action's `data`.  Any placeholders left unpaired are removed, and any extra
+ * resources are appended to `order`.
+ *
+ * @param {object} state   Previous state of the sliver this reducer is applied to
+ * @param {object} action  The action with type like `OPT_POST_${resourceName}_SUCCESS` and
+ *                         containing a `data` array property that contains the created
+ *                         resources with their API ids, and a `pendingData` array property
+ *                         that contains the resources as they were in the START action
+ * @param {object} options idKey: The name of the identifying property of the resource type
+ *                         being posted
+ * @return {object}        New state
+ */
+function postSuccessReducer(state, {
+  data: posted,
+  pendingData = [],
+}, { idKey }) {
+  const tempIds = filter(
+    id => has(id, state.data),
+    map(prop(idKey), pendingData),
+  )
+  const data = { ...state.data } // copy so we can mutate
+  const idSwaps = {}
+  tempIds.forEach((tempId, i) => {
+    delete data[tempId]
+    if (posted[i]) {
+      idSwaps[tempId] = posted[i][idKey]
+    }
+  })
+  posted.forEach((resource) => {
+    data[resource[idKey]] = resource
+  })
+  const swappedOrder = reject(
+    id => contains(id, tempIds) && !has(id, idSwaps),
+    map(id => (has(id, idSwaps) ? idSwaps[id] : id), state.order),
+  )
+  return {
+    ...state,
+    data,
+    numPosting: state.numPosting - 1,
+    order: concat(swappedOrder, map(prop(idKey), posted.slice(tempIds.length))),
+  }
+}
+export const OPT_POST_SUCCESS = { OPT_POST_SUCCESS: postSuccessReducer }
+
+
+/**
+ * @description
+ * Reducer that removes the placeholders of resources that failed to post from `data` and
+ * `order`.  When only some of a request's resources failed (`partialFailure`), the request is
+ * still considered to be posting until its SUCCESS action arrives.  The error is recorded in
+ * `postError`, and in `resourceErrors` under the temporary ids of the failed resources.
+ *
+ * @param {object} state   Previous state of the sliver this reducer is applied to
+ * @param {object} action  The action with type like `OPT_POST_${resourceName}_FAIL` and
+ *                         containing a `data` array property that contains the resources, with
+ *                         their temporary ids, that failed to post
+ * @param {object} options idKey: The name of the identifying property of the resource type
+ *                         being posted
+ * @return {object}        New state
+ */
+function postFailReducer(state, {
+  data: failures,
+  error,
+  partialFailure,
+}, { idKey }) {
+  const failedIds = map(prop(idKey), failures)
+  return recordResourceErrors({
+    ...state,
+    data: fromPairs(reject(([id]) => contains(id, failedIds), toPairs(state.data))),
+    numPosting: partialFailure ? state.numPosting : state.numPosting - 1,
+    order: reject(id => contains(id, failedIds), state.order),
+    postError: serializeError(error),
+  }, 'POST', failures, error, idKey)
+}
+export const OPT_POST_FAIL = { OPT_POST_FAIL: postFailReducer }
+
+
+export const OPT_POST_ALL = {
+  ...OPT_POST_START,
+  ...OPT_POST_SUCCESS,
+  ...OPT_POST_FAIL,
+}
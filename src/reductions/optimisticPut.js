@@ -0,0 +1,121 @@
+import {
+  find, fromPairs, map, omit, prop, propEq, toPairs,
+} from 'ramda'
+
+import { forgetResourceErrors, recordResourceErrors } from './errors'
+
+
+/**
+ * @description
+ * Reducer that replaces resources in `data` optimistically, but keeps the old version of each
+ * resource that is replaced in case we need to roll the change back if the PUT fails.
+ *
+ * NOTE: As with optimistic PATCH, replacing the same resource again before a previous PUT has
+ * concluded can cause strange issues.  The developer can determine if a resource is being
+ * replaced or not by seeing if it exists in `prePutResources`.
+ *
+ * @param {object} state   Previous state of the sliver this reducer is applied to
+ * @param {object} action  The action with type like `OPT_PUT_${resourceName}_START` and
+ *                         containing a `data` array property that contains the replacement
+ *                         resources
+ * @param {object} options idKey: The name of the identifying property of the resource type
+ *                         being replaced
+ * @return {object}        New state
+ */
+function putStartReducer(state, { data: replacements }, { idKey }) {
+  const { data: oldData, prePutResources: oldPrePutResources } = state
+  const prePutResources = { ...oldPrePutResources } // copy so we can mutate
+  const replacementsMap = fromPairs(map(r => [r[idKey], r], replacements))
+  const data = fromPairs(
+    map(([id, resource]) => {
+      if (replacementsMap[id]) {
+        prePutResources[id] = resource
+        return [id, replacementsMap[id]]
+      }
+      return [id, resource]
+    }, toPairs(oldData || {})),
+  )
+  return forgetResourceErrors({
+    ...state,
+    data,
+    prePutResources,
+  }, replacements, idKey)
+}
+export const OPT_PUT_START = { OPT_PUT_START: putStartReducer }
+
+
+/**
+ * @description
+ * Reducer that forgets successfully replaced resources' histories.  If the API responded with
+ * an Array of resources, a resource in that response with the same id as a replacement takes
+ * its place, so values computed by the server are kept.
+ *
+ * @param {object} state   Previous state of the sliver this reducer is applied to
+ * @param {object} action  The action with type like `OPT_PUT_${resourceName}_SUCCESS` and
+ *                         containing a `data` array property that contains the replacements
+ *                         that succeeded, and an optional `responseData` property
+ * @param {object} options idKey: The name of the identifying property of the resource type
+ *                         being replaced
+ * @return {object}        New state
+ */
+function putSuccessReducer(state, {
+  data: replacements,
+  responseData,
+}, { idKey }) {
+  const responseResources = responseData instanceof Array ? responseData : []
+  const replacementsMap = fromPairs(map(r => [r[idKey], r], replacements))
+  const data = fromPairs(map(([id, resource]) => {
+    if (!replacementsMap[id]) {
+      return [id, resource]
+    }
+    const responseResource = find(propEq(idKey, replacementsMap[id][idKey]), responseResources)
+    return [id, responseResource || resource]
+  }, toPairs(state.data || {})))
+  return {
+    ...state,
+    data,
+    prePutResources: omit(map(prop(idKey), replacements), state.prePutResources),
+  }
+}
+export const OPT_PUT_SUCCESS = { OPT_PUT_SUCCESS: putSuccessReducer }
+
+
+/**
+ * @description
+ * Reducer that restores pre-PUT resources from state, since there was a failure while
+ * attempting to replace those resources.  The affected resources will no longer appear as
+ * being in the process of being replaced.
+ *
+ * @param {object} state   Previous state of the sliver this reducer is applied to
+ * @param {object} action  The action with type like `OPT_PUT_${resourceName}_FAIL` and
+ *                         containing a `data` array property that contains the replacements
+ *                         we attempted to apply
+ * @param {object} options idKey: The name of the identifying property of the resource type
+ *                         being replaced
+ * @return {object}        New state
+ */
+function putFailReducer(state, { data: replacements, error }, { idKey }) {
+  const { data: oldData, prePutResources: oldPrePutResources } = state
+  const prePutResources = { ...oldPrePutResources } // copy so we can mutate
+  const replacementsMap = fromPairs(map(r => [r[idKey], r], replacements))
+  const data = fromPairs(map(([id, resource]) => {
+    if (replacementsMap[id] && oldPrePutResources[id]) {
+      delete prePutResources[id]
+      return [id, oldPrePutResources[id]]
+    }
+    return [id, resource]
+  }, toPairs(oldData || {})))
+  return recordResourceErrors({
+    ...state,
+    data,
+    prePutResources,
+  }, 'PUT', replacements, error, idKey)
+}
+export const OPT_PUT_FAIL = { OPT_PUT_FAIL: putFailReducer }
+
+
+export const OPT_PUT_ALL = {
+  ...OPT_PUT_START,
+  ...OPT_PUT_SUCCESS,
+  ...OPT_PUT_FAIL,
+}
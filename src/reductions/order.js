@@ -0,0 +1,147 @@
+import {
+  append, concat, contains, findIndex, insert, insertAll, map, reduce, reject,
+} from 'ramda'
+
+import { serializeError } from '../utils'
+
+
+// helpers
+// `order` may hold ids that aren't strings, while ids from elsewhere may be strings
+const containsId = (id, ids) => contains(String(id), map(String, ids))
+
+
+/**
+ * @description
+ * Arranges the ids of an order like another, desired order.  Ids that are in the desired order
+ * but not in the current one are left out, and those that are only in the current one are
+ * kept, after the others, in their current order.
+ *
+ * @param {Array} currentOrder  The ids, in their current order
+ * @param {Array} desiredOrder  The ids, in the order they should be in
+ * @return {Array}              The ids of `currentOrder`, in the desired order
+ */
+export const applyOrder = (currentOrder, desiredOrder) => {
+  const ordered = reduce((ids, id) => {
+    const index = findIndex(currentId => String(currentId) === String(id), currentOrder)
+    return index === -1 || containsId(id, ids) ? ids : append(currentOrder[index], ids)
+  }, [], desiredOrder)
+  return concat(ordered, reject(id => containsId(id, ordered), currentOrder))
+}
+
+
+/**
+ * @description
+ * Helper for reducers of new resources, which inserts their ids into an order
+ *
+ * @param {Array} order             The ids already in order
+ * @param {Array} ids               The ids of the new resources
+ * @param {number|function} position  (Optional) Where the new resources go: the index in
+ *                                  `order` of the first of them, or a function comparing two
+ *                                  resources like those given to `Array.prototype.sort`, in
+ *                                  which case each goes before the first resource it sorts
+ *                                  before.  If not given, they go at the end.
+ * @param {object} data             Id-indexed map of the resources, including the new ones
+ * @return {Array}                  The new order
+ */
+export const insertIntoOrder = (order, ids, position, data) => {
+  if (typeof position === 'function') {
+    return reduce((sortedOrder, id) => {
+      const index = findIndex(
+        otherId => Boolean(data[otherId]) && position(data[id], data[otherId]) < 0,
+        sortedOrder,
+      )
+      return index === -1 ? append(id, sortedOrder) : insert(index, id, sortedOrder)
+    }, order, ids)
+  }
+  if (typeof position === 'number') {
+    return insertAll(Math.max(0, Math.min(position, order.length)), ids, order)
+  }
+  return concat(order, ids)
+}
+
+
+/**
+ * @description
+ * Helper for reducers of resources that no longer exist, which removes their ids from `order`
+ * and from the `order` of each query in `queries`
+ *
+ * @param {object} state   Previous state of the sliver the reducer is applied to
+ * @param {Array} ids      The ids of the resources
+ * @return {object}        New state
+ */
+export const removeFromOrder = (state, ids) => {
+  const withoutIds = order => reject(id => containsId(id, ids), order || [])
+  return {
+    ...state,
+    order: withoutIds(state.order),
+    queries: map(
+      queryState => ({ ...queryState, order: withoutIds(queryState.order) }),
+      state.queries || {},
+    ),
+  }
+}
+
+
+/**
+ * @description
+ * Reducer that arranges `order` optimistically, as the resources are being reordered in the
+ * API, if at all.  Any error from a previous reorder is forgotten.
+ *
+ * @param {object} state   Previous state of the sliver this reducer is applied to
+ * @param {object} action  The action with type like `REORDER_START` and containing the new
+ *                         `order` of the resources' ids
+ * @return {object}        New state
+ */
+function reorderStartReducer(state, { order }) {
+  return {
+    ...state,
+    numReordersInProgress: (state.numReordersInProgress || 0) + 1,
+    order: applyOrder(state.order, order),
+    reorderError: null,
+  }
+}
+export const REORDER_START = { REORDER_START: reorderStartReducer }
+
+
+/**
+ * @description
+ * Reducer that notes a reorder is no longer in progress
+ *
+ * @param {object} state   Previous state of the sliver this reducer is applied to
+ * @return {object}        New state
+ */
+function reorderSuccessReducer(state) {
+  return {
+    ...state,
+    numReordersInProgress: (state.numReordersInProgress || 1) - 1,
+  }
+}
+export const REORDER_SUCCESS = { REORDER_SUCCESS: reorderSuccessReducer }
+
+
+/**
+ * @description
+ * Reducer that arranges `order` as it was before a reorder that failed, and records the error
+ * in `reorderError`.  Resources added or removed since keep their changes.
+ *
+ * @param {object} state   Previous state of the sliver this reducer is applied to
+ * @param {object} action  The action with type like `REORDER_FAIL` and containing the
+ *                         `previousOrder` of the resources' ids, and the `error` that was thrown
+ * @return {object}        New state
+ */
+function reorderFailReducer(state, { error, previousOrder }) {
+  return {
+    ...state,
+    numReordersInProgress: (state.numReordersInProgress || 1) - 1,
+    order: applyOrder(state.order, previousOrder),
+    reorderError: serializeError(error),
+  }
+}
+export const REORDER_FAIL = { REORDER_FAIL: reorderFailReducer }
+
+
+export const REORDER_ALL = {
+  ...REORDER_START,
+  ...REORDER_SUCCESS,
+  ...REORDER_FAIL,
+}
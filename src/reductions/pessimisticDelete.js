@@ -0,0 +1,87 @@
+import {
+  fromPairs, map, omit, prop,
+} from 'ramda'
+
+import { forgetResourceErrors, recordResourceErrors } from './errors'
+import { removeFromOrder } from './order'
+
+
+/**
+ * @description
+ * Reducer that notes which resources are being deleted, without removing them from `data`.
+ * The resources being deleted are kept in `pendingDeletes`, indexed by resource id, so the UI
+ * can show which resources are being deleted.  Any error from a previous attempt to delete
+ * those resources is forgotten.
+ *
+ * @param {object} state   Previous state of the sliver this reducer is applied to
+ * @param {object} action  The action with type like `PESS_DELETE_${resourceName}_START` and
+ *                         containing a `data` array property that contains the resources
+ *                         to be deleted
+ * @param {object} options idKey: The name of the identifying property of the resource type
+ *                         being deleted
+ * @return {object}        New state
+ */
+function deleteStartReducer(state, { data: deletes }, { idKey }) {
+  return forgetResourceErrors({
+    ...state,
+    pendingDeletes: {
+      ...state.pendingDeletes,
+      ...fromPairs(map(d => [d[idKey], d], deletes)),
+    },
+  }, deletes, idKey)
+}
+export const PESS_DELETE_START = { PESS_DELETE_START: deleteStartReducer }
+
+
+/**
+ * @description
+ * Reducer that removes successfully deleted resources from `data` and their ids from `order`,
+ * including the `order` of each query
+ *
+ * @param {object} state   Previous state of the sliver this reducer is applied to
+ * @param {object} action  The action with type like `PESS_DELETE_${resourceName}_SUCCESS` and
+ *                         containing a `data` array property that contains the resources that
+ *                         were deleted
+ * @param {object} options idKey: The name of the identifying property of the resource type
+ *                         being deleted
+ * @return {object}        New state
+ */
+function deleteSuccessReducer(state, { data: deletes }, { idKey }) {
+  const deletedIds = map(prop(idKey), deletes)
+  return removeFromOrder({
+    ...state,
+    data: omit(deletedIds, state.data),
+    pendingDeletes: omit(deletedIds, state.pendingDeletes),
+  }, deletedIds)
+}
+export const PESS_DELETE_SUCCESS = { PESS_DELETE_SUCCESS: deleteSuccessReducer }
+
+
+/**
+ * @description
+ * Reducer that notes the resources that failed to delete are no longer being deleted, and
+ * records the error in `resourceErrors`, indexed by resource id.  Since the resources were never
+ * removed from `data`, there is nothing to roll back.
+ *
+ * @param {object} state   Previous state of the sliver this reducer is applied to
+ * @param {object} action  The action with type like `PESS_DELETE_${resourceName}_FAIL` and
+ *                         containing a `data` array property that contains the resources we
+ *                         attempted to delete, and the `error` that was thrown
+ * @param {object} options idKey: The name of the identifying property of the resource type
+ *                         being deleted
+ * @return {object}        New state
+ */
+function deleteFailReducer(state, { data: deletes, error }, { idKey }) {
+  return recordResourceErrors({
+    ...state,
+    pendingDeletes: omit(map(prop(idKey), deletes), state.pendingDeletes),
+  }, 'DELETE', deletes, error, idKey)
+}
+export const PESS_DELETE_FAIL = { PESS_DELETE_FAIL: deleteFailReducer }
+
+
+export const PESS_DELETE_ALL = {
+  ...PESS_DELETE_START,
+  ...PESS_DELETE_SUCCESS,
+  ...PESS_DELETE_FAIL,
+}
@@ -1,51 +1,230 @@
-import { fromPairs, map } from 'ramda'
+import {
+  concat, contains, filter, fromPairs, map, reject,
+} from 'ramda'
+
+import { serializeError } from '../utils'
+import { MERGE_RELATED } from './mergeRelated'
+
+
+// helpers
+// Actions without a `requestId` were not dispatched by `getResources`, so are never stale
+const isLatestGet = (state, { requestId }) => requestId === undefined
+  || requestId === state.latestGetRequestId
+// Pages fetched with `append` are added to the resources already in state
+const isAppending = ({ page }) => Boolean(page && page.append)
+// GETs with a `queryKey` keep their results in `queries`, rather than in `order`
+const isKeyed = ({ queryKey }) => queryKey !== undefined && queryKey !== null
+
+/**
+ * The state of a single query's results, as kept in `queries` for GETs keyed by query
+ */
+export const initialQueryState = {
+  dataParams: null,
+  didInvalidate: false,
+  getError: null,
+  getFailed: false,
+  getSucceeded: false,
+  lastFetchedAt: null,
+  latestGetRequestId: null,
+  numGetsInProgress: 0,
+  order: [],
+  pagination: { hasMore: null, nextCursor: null, page: null },
+}
+
+// Applies `reduceQueryState` to the state of the query identified by `queryKey`
+const withQueryState = (state, queryKey, reduceQueryState) => ({
+  ...state,
+  queries: {
+    ...state.queries,
+    [queryKey]: reduceQueryState({ ...initialQueryState, ...(state.queries || {})[queryKey] }),
+  },
+})
+
+// Forgets the results of queries that aren't being fetched and were last fetched more than
+// `cacheTime` milliseconds before `now`
+const pruneQueries = (queries, cacheTime, now) => (
+  cacheTime === null || cacheTime === undefined
+    ? queries
+    : filter(
+      ({ lastFetchedAt, numGetsInProgress }) => numGetsInProgress > 0
+        || lastFetchedAt === null
+        || now - lastFetchedAt <= cacheTime,
+      queries,
+    )
+)
 
 
 /**
  * @description
- * Reducer that notes when we are performing another GET
+ * Reducer that notes when we are performing another GET.  The GET's `requestId` is recorded as
+ * the latest, so responses to any earlier GETs will be ignored.  Unless the GET is for a page
+ * to be appended, the resources in state are cleared.
+ *
+ * GETs keyed by query (with a `queryKey`) instead note the GET in that query's state within
+ * `queries`.  Nothing is cleared, so the query's previous results can be shown until the new
+ * ones arrive.  If the action has a `cacheTime`, the results of other queries that are older
+ * than that are forgotten.
  *
  * @param {object} state   Previous state of the sliver this reducer is applied to
+ * @param {object} action  The action with type like `PESS_GET_${resourceName}_START` and
+ *                         containing the `params` and `requestId` of the GET, and a `page`
+ *                         property if the resource is paginated
  * @return {object}        New state
  */
-function getStartReducer(state) {
-  return {
+function getStartReducer(state, action) {
+  const {
+    cacheTime, params, queryKey, requestId, startedAt,
+  } = action
+  if (isKeyed(action)) {
+    return withQueryState({
+      ...state,
+      latestGetParams: params,
+      numGetsInProgress: state.numGetsInProgress + 1,
+      queries: pruneQueries(state.queries, cacheTime, startedAt),
+    }, queryKey, queryState => ({
+      ...queryState,
+      getError: null,
+      getFailed: false,
+      latestGetRequestId: requestId,
+      numGetsInProgress: queryState.numGetsInProgress + 1,
+    }))
+  }
+  const startState = {
     ...state,
-    data: {},
+    getError: null,
     getFailed: false,
     getSucceeded: false,
-    order: [],
+    latestGetParams: params,
+    latestGetRequestId: requestId,
     numGetsInProgress: state.numGetsInProgress + 1,
   }
+  if (isAppending(action)) {
+    return startState
+  }
+  return {
+    ...startState,
+    data: {},
+    dataParams: null,
+    order: [],
+  }
 }
 export const PESS_GET_START = { PESS_GET_START: getStartReducer }
 
 
+/**
+ * @description
+ * Reducer for the SUCCESS of GETs keyed by query.  See `getSuccessReducer`.  The resources of
+ * a superseded GET aren't added to `data`.  If the action has a `cacheTime`, the results of
+ * other queries that are older than that are forgotten, as when a GET starts.
+ *
+ * @param {object} state   Previous state of the sliver this reducer is applied to
+ * @param {object} action  The action with type like `PESS_GET_${resourceName}_SUCCESS` and
+ *                         containing a `queryKey`
+ * @param {object} options idKey: The name of the identifying property of the resource type
+ *                         being queried
+ * @return {object}        New state
+ */
+function getQuerySuccessReducer(state, action, { idKey }) {
+  const {
+    cacheTime, data: rawData, fetchedAt = null, page, params, queryKey,
+  } = action
+  const idResourcePairs = map(resource => [resource[idKey], resource], rawData)
+  const order = map(pair => pair[0], idResourcePairs)
+  // a superseded response's resources could be older than those of the query's latest GET
+  const isLatest = isLatestGet({ ...initialQueryState, ...(state.queries || {})[queryKey] }, action)
+  return withQueryState({
+    ...state,
+    data: isLatest ? { ...state.data, ...fromPairs(idResourcePairs) } : state.data,
+    numGetsInProgress: state.numGetsInProgress - 1,
+    queries: pruneQueries(state.queries, cacheTime, fetchedAt),
+  }, queryKey, (queryState) => {
+    if (!isLatestGet(queryState, action)) {
+      return { ...queryState, numGetsInProgress: queryState.numGetsInProgress - 1 }
+    }
+    return {
+      ...queryState,
+      dataParams: isAppending(action) ? queryState.dataParams : params,
+      didInvalidate: false,
+      getSucceeded: true,
+      lastFetchedAt: fetchedAt,
+      numGetsInProgress: queryState.numGetsInProgress - 1,
+      order: isAppending(action)
+        ? concat(queryState.order, reject(id => contains(id, queryState.order), order))
+        : order,
+      pagination: page
+        ? { hasMore: page.hasMore, nextCursor: page.nextCursor, page: page.page }
+        : queryState.pagination,
+    }
+  })
+}
+
+
 /**
  * @description
  * Reducer that notes we are no longer getting the resource and populates our `data`
- * and `order` with the data retrieved from the API
+ * and `order` with the data retrieved from the API, unless a newer GET has started since.
+ * `dataParams` records the params that `data` was retrieved with.
+ *
+ * For paginated resources, `pagination` records the page retrieved and whether there are more,
+ * and an appended page's resources are added after those already in `order`.
+ *
+ * For GETs keyed by query, the resources are added to `data`, which is shared by all queries,
+ * and the rest is recorded in that query's state within `queries`, unless a newer GET of the
+ * query has started since.
+ *
+ * `lastFetchedAt` records when the results were fetched, so they can be considered stale later.
  *
  * @param {object} state   Previous state of the sliver this reducer is applied to
  * @param {object} action  The action with type like `PESS_GET_${resourceName}_SUCCESS` and
  *                         containing a `data` array property that contains the resource
- *                         objects retrieved
+ *                         objects retrieved, and a `page` property if the resource is
+ *                         paginated
  * @param {object} options idKey: The name of the identifying property of the resource type
  *                         being queried
  * @return {object}        New state
  */
-function getSuccessReducer(state, {
-  data: rawData,
-}, { idKey }) {
+function getSuccessReducer(state, action, { idKey }) {
+  const {
+    data: rawData, fetchedAt = null, page, params,
+  } = action
+  if (isKeyed(action)) {
+    return getQuerySuccessReducer(state, action, { idKey })
+  }
+  if (!isLatestGet(state, action)) {
+    return {
+      ...state,
+      numGetsInProgress: state.numGetsInProgress - 1,
+    }
+  }
   const idResourcePairs = map(resource => [resource[idKey], resource], rawData)
   const order = map(pair => pair[0], idResourcePairs)
   const data = fromPairs(idResourcePairs)
+  const pagination = page
+    ? { hasMore: page.hasMore, nextCursor: page.nextCursor, page: page.page }
+    : state.pagination
+  if (isAppending(action)) {
+    return {
+      ...state,
+      data: { ...state.data, ...data },
+      didInvalidate: false,
+      getSucceeded: true,
+      lastFetchedAt: fetchedAt,
+      numGetsInProgress: state.numGetsInProgress - 1,
+      // a resource already in `order` (from a shifted page) keeps its first position
+      order: concat(state.order, reject(id => Boolean(state.data[id]), order)),
+      pagination,
+    }
+  }
   return {
     ...state,
     data,
+    dataParams: params,
+    didInvalidate: false,
     getSucceeded: true,
+    lastFetchedAt: fetchedAt,
     numGetsInProgress: state.numGetsInProgress - 1,
     order,
+    pagination,
   }
 }
 export const PESS_GET_SUCCESS = { PESS_GET_SUCCESS: getSuccessReducer }
@@ -53,15 +232,29 @@ export const PESS_GET_SUCCESS = { PESS_GET_SUCCESS: getSuccessReducer }
 
 /**
  * @description
- * Reducer that notes we are no longer getting the resource
+ * Reducer that notes we are no longer getting the resource, and that the GET failed unless a
+ * newer GET has started since.  The error is recorded in `getError`.  For GETs keyed by query,
+ * this is noted in that query's state within `queries`.
  *
  * @param {object} state  Previous state of the sliver this reducer is applied to
+ * @param {object} action The action with type like `PESS_GET_${resourceName}_FAIL`
  * @return {object}       New state
  */
-function getFailReducer(state) {
+function getFailReducer(state, action) {
+  const failedState = { getError: serializeError(action.error), getFailed: true }
+  if (isKeyed(action)) {
+    return withQueryState({
+      ...state,
+      numGetsInProgress: state.numGetsInProgress - 1,
+    }, action.queryKey, queryState => ({
+      ...queryState,
+      ...(isLatestGet(queryState, action) ? failedState : {}),
+      numGetsInProgress: queryState.numGetsInProgress - 1,
+    }))
+  }
   return {
     ...state,
-    getFailed: true,
+    ...(isLatestGet(state, action) ? failedState : {}),
     numGetsInProgress: state.numGetsInProgress - 1,
   }
 }
@@ -70,8 +263,38 @@ export const PESS_GET_FAIL = {
 }
 
 
+/**
+ * @description
+ * Reducer that marks GET results as stale without clearing them.  For GETs keyed by query, only
+ * the results of the query with the action's `queryKey` are marked, or the results of all
+ * queries if it has none.
+ *
+ * @param {object} state  Previous state of the sliver this reducer is applied to
+ * @param {object} action The action with type like `PESS_GET_${resourceName}_INVALIDATE`
+ * @return {object}       New state
+ */
+function getInvalidateReducer(state, action) {
+  if (isKeyed(action)) {
+    return withQueryState(state, action.queryKey, queryState => ({
+      ...queryState,
+      didInvalidate: true,
+    }))
+  }
+  return {
+    ...state,
+    didInvalidate: true,
+    queries: map(queryState => ({ ...queryState, didInvalidate: true }), state.queries || {}),
+  }
+}
+export const PESS_GET_INVALIDATE = {
+  PESS_GET_INVALIDATE: getInvalidateReducer,
+}
+
+
 export const PESS_GET_ALL = {
   ...PESS_GET_START,
   ...PESS_GET_SUCCESS,
   ...PESS_GET_FAIL,
+  ...PESS_GET_INVALIDATE,
+  ...MERGE_RELATED,
 }
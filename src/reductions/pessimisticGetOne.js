@@ -0,0 +1,92 @@
+import { serializeError } from '../utils'
+
+
+/**
+ * The state of a single resource's GET, as kept in `singleGets` indexed by resource id
+ */
+export const initialSingleGetState = {
+  getError: null,
+  getFailed: false,
+  getSucceeded: false,
+  numGetsInProgress: 0,
+}
+
+// Applies `reduceSingleGetState` to the state of the GET of the resource with id `id`
+const withSingleGetState = (state, id, reduceSingleGetState) => ({
+  ...state,
+  singleGets: {
+    ...state.singleGets,
+    [id]: reduceSingleGetState({ ...initialSingleGetState, ...(state.singleGets || {})[id] }),
+  },
+})
+
+
+/**
+ * @description
+ * Reducer that notes when we are getting a single resource
+ *
+ * @param {object} state   Previous state of the sliver this reducer is applied to
+ * @param {object} action  The action with type like `PESS_GET_ONE_${resourceName}_START` and
+ *                         containing the `id` of the resource
+ * @return {object}        New state
+ */
+function getOneStartReducer(state, { id }) {
+  return withSingleGetState(state, id, singleGetState => ({
+    ...singleGetState,
+    getError: null,
+    getFailed: false,
+    numGetsInProgress: singleGetState.numGetsInProgress + 1,
+  }))
+}
+export const PESS_GET_ONE_START = { PESS_GET_ONE_START: getOneStartReducer }
+
+
+/**
+ * @description
+ * Reducer that notes we are no longer getting a single resource, and places it in `data`,
+ * replacing any previous version of it.  `order` and other resources are left alone.
+ *
+ * @param {object} state   Previous state of the sliver this reducer is applied to
+ * @param {object} action  The action with type like `PESS_GET_ONE_${resourceName}_SUCCESS` and
+ *                         containing the `id` of the resource and the resource as `data`
+ * @return {object}        New state
+ */
+function getOneSuccessReducer(state, { data: resource, id }) {
+  return withSingleGetState({
+    ...state,
+    data: { ...state.data, [id]: resource },
+  }, id, singleGetState => ({
+    ...singleGetState,
+    getSucceeded: true,
+    numGetsInProgress: singleGetState.numGetsInProgress - 1,
+  }))
+}
+export const PESS_GET_ONE_SUCCESS = { PESS_GET_ONE_SUCCESS: getOneSuccessReducer }
+
+
+/**
+ * @description
+ * Reducer that notes we are no longer getting a single resource, and that the GET failed.
+ * The error is recorded in the resource's `getError` within `singleGets`.
+ *
+ * @param {object} state  Previous state of the sliver this reducer is applied to
+ * @param {object} action The action with type like `PESS_GET_ONE_${resourceName}_FAIL` and
+ *                        containing the `id` of the resource
+ * @return {object}       New state
+ */
+function getOneFailReducer(state, { error, id }) {
+  return withSingleGetState(state, id, singleGetState => ({
+    ...singleGetState,
+    getError: serializeError(error),
+    getFailed: true,
+    numGetsInProgress: singleGetState.numGetsInProgress - 1,
+  }))
+}
+export const PESS_GET_ONE_FAIL = { PESS_GET_ONE_FAIL: getOneFailReducer }
+
+
+export const PESS_GET_ONE_ALL = {
+  ...PESS_GET_ONE_START,
+  ...PESS_GET_ONE_SUCCESS,
+  ...PESS_GET_ONE_FAIL,
+}
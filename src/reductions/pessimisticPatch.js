@@ -0,0 +1,97 @@
+import {
+  find, fromPairs, map, omit, prop, propEq, toPairs,
+} from 'ramda'
+
+import { forgetResourceErrors, recordResourceErrors } from './errors'
+
+
+/**
+ * @description
+ * Reducer that notes which resources are being patched, without modifying them in `data`.
+ * The patches being applied are kept in `pendingPatches`, indexed by resource id, so the UI
+ * can show which resources are being patched.
+ *
+ * @param {object} state   Previous state of the sliver this reducer is applied to
+ * @param {object} action  The action with type like `PESS_PATCH_${resourceName}_START` and
+ *                         containing a `data` array property that contains the patches to be
+ *                         applied
+ * @param {object} options idKey: The name of the identifying property of the resource type
+ *                         being patched
+ * @return {object}        New state
+ */
+function patchStartReducer(state, { data: patches }, { idKey }) {
+  return forgetResourceErrors({
+    ...state,
+    pendingPatches: {
+      ...state.pendingPatches,
+      ...fromPairs(map(p => [p[idKey], p], patches)),
+    },
+  }, patches, idKey)
+}
+export const PESS_PATCH_START = { PESS_PATCH_START: patchStartReducer }
+
+
+/**
+ * @description
+ * Reducer that applies the confirmed patches to `data`.  If the API responded with an Array of
+ * resources, a resource in that response with the same id as a patch is merged over the patch,
+ * so values computed by the server are kept.
+ *
+ * @param {object} state   Previous state of the sliver this reducer is applied to
+ * @param {object} action  The action with type like `PESS_PATCH_${resourceName}_SUCCESS` and
+ *                         containing a `data` array property that contains the patches that
+ *                         were applied, and an optional `responseData` property
+ * @param {object} options idKey: The name of the identifying property of the resource type
+ *                         being patched
+ * @return {object}        New state
+ */
+function patchSuccessReducer(state, {
+  data: patches,
+  responseData,
+}, { idKey }) {
+  const responseResources = responseData instanceof Array ? responseData : []
+  const patchesMap = fromPairs(map(p => [p[idKey], p], patches))
+  const data = fromPairs(map(([id, resource]) => {
+    if (!patchesMap[id]) {
+      return [id, resource]
+    }
+    const patch = patchesMap[id]
+    const responseResource = find(propEq(idKey, patch[idKey]), responseResources)
+    return [id, { ...resource, ...patch, ...responseResource }]
+  }, toPairs(state.data || {})))
+  return {
+    ...state,
+    data,
+    pendingPatches: omit(map(prop(idKey), patches), state.pendingPatches),
+  }
+}
+export const PESS_PATCH_SUCCESS = { PESS_PATCH_SUCCESS: patchSuccessReducer }
+
+
+/**
+ * @description
+ * Reducer that notes the resources whose patches failed are no longer being patched.  Since
+ * `data` was never modified, there is nothing to roll back.
+ *
+ * @param {object} state   Previous state of the sliver this reducer is applied to
+ * @param {object} action  The action with type like `PESS_PATCH_${resourceName}_FAIL` and
+ *                         containing a `data` array property that contains the patches we
+ *                         attempted to apply
+ * @param {object} options idKey: The name of the identifying property of the resource type
+ *                         being patched
+ * @return {object}        New state
+ */
+function patchFailReducer(state, { data: patches, error }, { idKey }) {
+  return recordResourceErrors({
+    ...state,
+    pendingPatches: omit(map(prop(idKey), patches), state.pendingPatches),
+  }, 'PATCH', patches, error, idKey)
+}
+export const PESS_PATCH_FAIL = { PESS_PATCH_FAIL: patchFailReducer }
+
+
+export const PESS_PATCH_ALL = {
+  ...PESS_PATCH_START,
+  ...PESS_PATCH_SUCCESS,
+  ...PESS_PATCH_FAIL,
+}
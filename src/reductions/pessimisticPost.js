@@ -1,7 +1,10 @@
 import {
-  concat, fromPairs, keys, map,
+  fromPairs, map, prop,
 } from 'ramda'
 
+import { serializeError } from '../utils'
+import { insertIntoOrder } from './order'
+
 
 /**
  * @description
@@ -22,24 +25,30 @@ export const PESS_POST_START = { PESS_POST_START: postStartReducer }
 /**
  * @description
  * Reducer that notes we are no longer posting the resource and places the newly-created
- * resources in `data` and their ids in `order`
+ * resources in `data` and their ids in `order`, at the end unless the action has a `position`
+ * (see `insertIntoOrder`)
  *
  * @param {object} state  Previous state of the sliver this reducer is applied to
  * @param {object} action The action with type like `PESS_POST_${resourceName}_SUCCESS` and
- *  containing a `data` array property that contains the posts that were applied
+ *  containing a `data` array property that contains the posts that were applied, and
+ *  optionally a `position`
  * @param {object} options idKey: The name of the identifying property of the resource type
  *                         being posted
  * @return {object}       New state
  */
 function postSuccessReducer(state, {
   data: postedData,
+  position,
 }, { idKey }) {
-  const newData = fromPairs(map(resource => [resource[idKey], resource], postedData))
+  const data = {
+    ...state.data,
+    ...fromPairs(map(resource => [resource[idKey], resource], postedData)),
+  }
   return {
     ...state,
-    data: { ...state.data, ...newData },
+    data,
     numPosting: state.numPosting - 1,
-    order: concat(state.order, keys(newData)),
+    order: insertIntoOrder(state.order, map(prop(idKey), postedData), position, data),
   }
 }
 export const PESS_POST_SUCCESS = { PESS_POST_SUCCESS: postSuccessReducer }
@@ -47,15 +56,19 @@ export const PESS_POST_SUCCESS = { PESS_POST_SUCCESS: postSuccessReducer }
 
 /**
  * @description
- * Reducer that notes we are no longer posting the resource
+ * Reducer that notes we are no longer posting the resource, unless only some of the request's
+ * resources failed (`partialFailure`), in which case its SUCCESS action is still to come.  The
+ * error is recorded in `postError`.
  *
  * @param {object} state  Previous state of the sliver this reducer is applied to
+ * @param {object} action The action with type like `PESS_POST_${resourceName}_FAIL`
  * @return {object}       New state
  */
-function postFailReducer(state) {
+function postFailReducer(state, { error, partialFailure }) {
   return {
     ...state,
-    numPosting: state.numPosting - 1,
+    numPosting: partialFailure ? state.numPosting : state.numPosting - 1,
+    postError: serializeError(error),
   }
 }
 export const PESS_POST_FAIL = {
@@ -0,0 +1,97 @@
+import {
+  find, fromPairs, map, omit, prop, propEq, toPairs,
+} from 'ramda'
+
+import { forgetResourceErrors, recordResourceErrors } from './errors'
+
+
+/**
+ * @description
+ * Reducer that notes which resources are being replaced, without modifying them in `data`.
+ * The replacements being applied are kept in `pendingPuts`, indexed by resource id, so the UI
+ * can show which resources are being replaced.
+ *
+ * @param {object} state   Previous state of the sliver this reducer is applied to
+ * @param {object} action  The action with type like `PESS_PUT_${resourceName}_START` and
+ *                         containing a `data` array property that contains the replacement
+ *                         resources
+ * @param {object} options idKey: The name of the identifying property of the resource type
+ *                         being replaced
+ * @return {object}        New state
+ */
+function putStartReducer(state, { data: replacements }, { idKey }) {
+  return forgetResourceErrors({
+    ...state,
+    pendingPuts: {
+      ...state.pendingPuts,
+      ...fromPairs(map(r => [r[idKey], r], replacements)),
+    },
+  }, replacements, idKey)
+}
+export const PESS_PUT_START = { PESS_PUT_START: putStartReducer }
+
+
+/**
+ * @description
+ * Reducer that replaces resources in `data` wholesale with the confirmed replacements.  If the
+ * API responded with an Array of resources, a resource in that response with the same id as a
+ * replacement is used instead, so values computed by the server are kept.
+ *
+ * @param {object} state   Previous state of the sliver this reducer is applied to
+ * @param {object} action  The action with type like `PESS_PUT_${resourceName}_SUCCESS` and
+ *                         containing a `data` array property that contains the replacements
+ *                         that succeeded, and an optional `responseData` property
+ * @param {object} options idKey: The name of the identifying property of the resource type
+ *                         being replaced
+ * @return {object}        New state
+ */
+function putSuccessReducer(state, {
+  data: replacements,
+  responseData,
+}, { idKey }) {
+  const responseResources = responseData instanceof Array ? responseData : []
+  const replacementsMap = fromPairs(map(r => [r[idKey], r], replacements))
+  const data = fromPairs(map(([id, resource]) => {
+    if (!replacementsMap[id]) {
+      return [id, resource]
+    }
+    const replacement = replacementsMap[id]
+    const responseResource = find(propEq(idKey, replacement[idKey]), responseResources)
+    return [id, responseResource || replacement]
+  }, toPairs(state.data || {})))
+  return {
+    ...state,
+    data,
+    pendingPuts: omit(map(prop(idKey), replacements), state.pendingPuts),
+  }
+}
+export const PESS_PUT_SUCCESS = { PESS_PUT_SUCCESS: putSuccessReducer }
+
+
+/**
+ * @description
+ * Reducer that notes the resources whose replacements failed are no longer being replaced.
+ * Since `data` was never modified, there is nothing to roll back.
+ *
+ * @param {object} state   Previous state of the sliver this reducer is applied to
+ * @param {object} action  The action with type like `PESS_PUT_${resourceName}_FAIL` and
+ *                         containing a `data` array property that contains the replacements
+ *                         we attempted to apply
+ * @param {object} options idKey: The name of the identifying property of the resource type
+ *                         being replaced
+ * @return {object}        New state
+ */
+function putFailReducer(state, { data: replacements, error }, { idKey }) {
+  return recordResourceErrors({
+    ...state,
+    pendingPuts: omit(map(prop(idKey), replacements), state.pendingPuts),
+  }, 'PUT', replacements, error, idKey)
+}
+export const PESS_PUT_FAIL = { PESS_PUT_FAIL: putFailReducer }
+
+
+export const PESS_PUT_ALL = {
+  ...PESS_PUT_START,
+  ...PESS_PUT_SUCCESS,
+  ...PESS_PUT_FAIL,
+}
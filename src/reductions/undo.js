@@ -0,0 +1,152 @@
+import {
+  find, fromPairs, has, map, prop, propEq, reject, takeLast, zip,
+} from 'ramda'
+
+
+// helpers
+const defaultUndoLimit = 50
+const withoutEntry = (mutationId, entries) => reject(propEq('mutationId', mutationId), entries)
+// Gives resources in history entries the new ids of the resources they were re-created as
+const swapIds = (idKey, idSwaps, entries) => {
+  const swapId = item => (has(item[idKey], idSwaps)
+    ? { ...item, [idKey]: idSwaps[item[idKey]] }
+    : item)
+  return map(entry => ({
+    ...entry,
+    changes: map(swapId, entry.changes || []),
+    resources: map(swapId, entry.resources),
+  }), entries)
+}
+
+
+/**
+ * @description
+ * Helper for reducers of optimistic mutations that are starting, which records the mutation in
+ * the slice's `undoHistory` if the action says it is undoable.  Recording a new mutation forgets
+ * the mutations that were undone, so they can no longer be redone.
+ *
+ * @param {object} state      Previous state of the sliver the reducer is applied to
+ * @param {object} action     The START action of the mutation, containing `data`, `mutationId`
+ *                            and `undoable` properties
+ * @param {string} operation  The operation being recorded  Ex: 'PATCH'
+ * @param {Array} resources   The resources being mutated, as they were before the mutation
+ * @param {object} options    undoLimit: (Defaults to 50) The number of mutations to remember
+ * @param {object} details    (Optional) More to record with the mutation, like the `positions`
+ *                            in `order` of the resources being deleted
+ * @return {object}           New state
+ */
+export const recordUndoable = (
+  state,
+  { data: changes, mutationId, undoable },
+  operation,
+  resources,
+  { undoLimit = defaultUndoLimit },
+  details = {},
+) => {
+  if (!undoable || !resources.length) {
+    return state
+  }
+  const { past = [] } = state.undoHistory || {}
+  return {
+    ...state,
+    undoHistory: {
+      future: [],
+      past: takeLast(undoLimit, [...past, {
+        ...details, changes, mutationId, operation, resources,
+      }]),
+    },
+  }
+}
+
+
+/**
+ * @description
+ * Helper for reducers of failed mutations, which forgets the mutation in the slice's
+ * `undoHistory`, since there is nothing to undo
+ *
+ * @param {object} state      Previous state of the sliver the reducer is applied to
+ * @param {any} mutationId    Identifies the mutation that failed
+ * @return {object}           New state
+ */
+export const forgetUndoable = (state, mutationId) => {
+  const { future = [], past = [] } = state.undoHistory || {}
+  return {
+    ...state,
+    undoHistory: {
+      future: withoutEntry(mutationId, future),
+      past: withoutEntry(mutationId, past),
+    },
+  }
+}
+
+
+/**
+ * @description
+ * Reducer that moves a mutation that was undone from the past to the future of `undoHistory`,
+ * so it can be redone.  The mutation was already undone by `undo`.
+ *
+ * Undoing a delete re-creates the deleted resources with new ids.  The other mutations in the
+ * history refer to the re-created resources by their new ids from then on.
+ *
+ * @param {object} state   Previous state of the sliver this reducer is applied to
+ * @param {object} action  The action with type like `UNDO` and containing the `mutationId` of
+ *                         the mutation, and optionally a `resources` Array property that
+ *                         contains the re-created resources, in the same order as the resources
+ *                         of the mutation
+ * @param {object} options idKey: The name of the identifying property of the resource type
+ * @return {object}        New state
+ */
+function undoReducer(state, { mutationId, resources }, { idKey }) {
+  const { future = [], past = [] } = state.undoHistory || {}
+  const entry = find(propEq('mutationId', mutationId), past)
+  if (!entry) {
+    return state
+  }
+  const idSwaps = resources
+    ? fromPairs(zip(map(prop(idKey), entry.resources), map(prop(idKey), resources)))
+    : {}
+  return {
+    ...state,
+    undoHistory: {
+      future: [
+        ...swapIds(idKey, idSwaps, future),
+        { ...entry, resources: resources || entry.resources },
+      ],
+      past: swapIds(idKey, idSwaps, withoutEntry(mutationId, past)),
+    },
+  }
+}
+export const UNDO = { UNDO: undoReducer }
+
+
+/**
+ * @description
+ * Reducer that moves a mutation that was redone from the future back to the past of
+ * `undoHistory`, so it can be undone again.  The mutation was already redone by `redo`.
+ *
+ * @param {object} state   Previous state of the sliver this reducer is applied to
+ * @param {object} action  The action with type like `REDO` and containing the `mutationId` of
+ *                         the mutation
+ * @return {object}        New state
+ */
+function redoReducer(state, { mutationId }) {
+  const { future = [], past = [] } = state.undoHistory || {}
+  const entry = find(propEq('mutationId', mutationId), future)
+  if (!entry) {
+    return state
+  }
+  return {
+    ...state,
+    undoHistory: {
+      future: withoutEntry(mutationId, future),
+      past: [...past, entry],
+    },
+  }
+}
+export const REDO = { REDO: redoReducer }
+
+
+export const UNDO_ALL = {
+  ...UNDO,
+  ...REDO,
+}
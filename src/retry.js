@@ -0,0 +1,108 @@
+import { serializeError } from './utils'
+
+
+/**
+ * Retrying of the transport calls made by actions, like `getFunc` and `patchFunc`.  These
+ * options may be given for all operations, or per operation in the `GET`, `POST`, `PATCH`, `PUT`
+ * and `DELETE` blocks of options:
+ *
+ *   - {number} maxAttempts - (Defaults to 1) The number of times a request is attempted before
+ *     it fails.  The default of 1 never retries.
+ *
+ *   - {number} retryDelay - (Defaults to 500) The number of milliseconds before the first
+ *     retry.  The delay doubles with each retry, and a random part of it is skipped (jitter) so
+ *     clients that failed together don't retry together.
+ *
+ *   - {number} maxRetryDelay - (Defaults to 30000) The number of milliseconds that the delay
+ *     before a retry never exceeds
+ *
+ *   - {function} isRetryable - (Defaults to a function that retries network errors, timeouts,
+ *     rate limiting and server errors, unless the request was canceled) A function that accepts
+ *     the arguments (options, error, attempt) and returns whether the request should be
+ *     attempted again
+ *
+ *   - {function} isCancel - (Defaults to a function that recognizes the errors of aborted
+ *     `fetch` requests and of canceled `axios` requests) A function that accepts the argument
+ *     (error) and returns whether the request was canceled, and so isn't retried.  `axios.isCancel`
+ *     may be given for older versions of `axios`.
+ *
+ * Before each retry, a `RETRY` action is dispatched, like `OPT_PATCH_RETRY`, so the UI can show
+ * that the request is being retried.  Its `error` is serialized like those of FAIL actions (see
+ * `serializeError`).  FAIL actions, and so rollbacks of optimistic changes, only
+ * happen once the last attempt has failed.
+ */
+
+// helpers
+const isCanceledRequest = error => Boolean(error) && (
+  error.name === 'AbortError' || error.name === 'CanceledError'
+)
+
+
+export const defaultRetryOptions = {
+  isCancel: isCanceledRequest,
+  isRetryable: (options, error) => {
+    // canceled requests weren't meant to succeed
+    if (!error || (options.isCancel || isCanceledRequest)(error)) {
+      return false
+    }
+    const status = (error.response || {}).status || error.status
+    return !status || status === 408 || status === 429 || status >= 500
+  },
+  maxAttempts: 1,
+  maxRetryDelay: 30000,
+  retryDelay: 500,
+}
+
+
+/**
+ * @description
+ * The number of milliseconds to wait before retrying a request: an exponentially increasing
+ * delay, of which a random part is skipped
+ * @param  {object} options  Options including `retryDelay` and `maxRetryDelay`
+ * @param  {number} attempt  The number of the attempt that just failed, starting at 1
+ *
+ * @return {number}          The delay in milliseconds
+ */
+export function getRetryDelay({ maxRetryDelay, retryDelay }, attempt) {
+  const delay = Math.min(maxRetryDelay, retryDelay * (2 ** (attempt - 1)))
+  return Math.round((delay / 2) + (Math.random() * (delay / 2)))
+}
+
+
+/**
+ * @description
+ * Calls a function that makes a request until the Promise it returns resolves, it has been
+ * called `maxAttempts` times, or it rejects with an error that isn't retryable
+ * @param  {function} request  A function that makes the request and returns a Promise
+ * @param  {object} options    Options of the action making the request; See above
+ * @param  {function} onRetry  A function called before each retry with an object like
+ *                             { attempt, delay, error, maxAttempts }, where `attempt` is the
+ *                             number of the attempt that failed and `error` its serialized
+ *                             error
+ *
+ * @return {Promise}           Resolves with what the last attempt resolved with, or rejects
+ *                             with the error of the last attempt
+ */
+export async function withRetries(request, options, onRetry = Function.prototype) {
+  const computedOptions = {
+    ...defaultRetryOptions,
+    ...options,
+  }
+  const { isRetryable, maxAttempts } = computedOptions
+  const attemptRequest = async (attempt) => {
+    try {
+      return await request()
+    } catch (error) {
+      if (attempt >= maxAttempts || !isRetryable(computedOptions, error, attempt)) {
+        throw error
+      }
+      const delay = getRetryDelay(computedOptions, attempt)
+      onRetry({
+        attempt, delay, error: serializeError(error), maxAttempts,
+      })
+      await new Promise(resolve => setTimeout(resolve, delay))
+      return attemptRequest(attempt + 1)
+    }
+  }
+  return attemptRequest(1)
+}
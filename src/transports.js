@@ -0,0 +1,170 @@
+/* global fetch */
+import * as R from 'ramda'
+
+
+/**
+ * Transports build the functions that actions use to make requests (`getFunc`, `postFunc`,
+ * `patchFunc`, `putFunc` and `deleteFunc`) from a base URL and config shared by all of them, so
+ * they can be spread into the options given to `generateActions`:
+ * @example
+ * generateActions(defaultOptions)('model/products', actions, '/products', {
+ *   ...createFetchTransport({ baseURL: 'https://api.example.com' }),
+ * })
+ *
+ * Whichever transport is used, the functions:
+ *   - Accept the arguments the actions call them with: (url, { params, signal }) for GETs,
+ *     (url, { data }) for DELETEs, and (url, body) for the others
+ *   - Encode request bodies and decode response bodies as JSON
+ *   - Build query strings the same way (see `toQueryString`)
+ *   - Resolve with a response like { data, headers, status }
+ *   - Reject responses with non-2xx statuses with an Error like those of `axios`, with a
+ *     `response` like { data, headers, status } and the `status`, so retries, offline queueing
+ *     and recorded errors work the same
+ */
+
+
+/**
+ * @description
+ * Builds the query string of a request from its params.  Params that are `null` or `undefined`
+ * are left out, Arrays are repeated for each of their values, and objects are sent as JSON.
+ * @example
+ * toQueryString({ ids: [1, 2], q: 'shoes', page: null })
+ * // 'ids=1&ids=2&q=shoes'
+ * @param  {object} params  The query params
+ *
+ * @return {string}         The query string, without a leading '?'
+ */
+export function toQueryString(params) {
+  const encodeValue = value => encodeURIComponent(
+    value !== null && typeof value === 'object' ? JSON.stringify(value) : value,
+  )
+  return R.join('&', R.unnest(R.map(
+    ([key, value]) => R.map(
+      item => `${encodeURIComponent(key)}=${encodeValue(item)}`,
+      R.reject(R.isNil, value instanceof Array ? value : [value]),
+    ),
+    R.toPairs(params || {}),
+  )))
+}
+
+
+// helpers
+const resolveHeaders = headers => (typeof headers === 'function' ? headers() : headers)
+const createHttpError = (response) => {
+  const error = new Error(`Request failed with status code ${response.status}`)
+  error.response = response
+  error.status = response.status
+  return error
+}
+const parseResponseBody = async (response) => {
+  const text = response.status === 204 ? '' : await response.text()
+  if (!text) {
+    return null
+  }
+  const contentType = (response.headers && response.headers.get('content-type')) || ''
+  if (!R.contains('json', contentType)) {
+    return text
+  }
+  // a malformed body shouldn't be mistaken for a failure to connect
+  try {
+    return JSON.parse(text)
+  } catch (error) {
+    return text
+  }
+}
+
+
+/**
+ * @description
+ * Creates a transport on `fetch`
+ *
+ * @param  {object} config  (Optional) Config shared by every request:
+ *                            - {string} baseURL - (Defaults to '') Prepended to the URL of
+ *                              every request
+ *                            - {function} fetch - (Defaults to the global `fetch`) The `fetch`
+ *                              function to use, like one that fakes responses in tests
+ *                            - {object|function} headers - (Optional) Headers sent with every
+ *                              request, or a function that returns them, called for each
+ *                              request, like for sending an auth token that can change
+ *                            - Other - Any other `fetch` init options, like `credentials`
+ *
+ * @return {object}         An object with `getFunc`, `postFunc`, `patchFunc`, `putFunc` and
+ *                          `deleteFunc` functions
+ */
+export function createFetchTransport(config = {}) {
+  const {
+    baseURL = '',
+    fetch: fetchFunc = (...args) => fetch(...args),
+    headers,
+    ...init
+  } = config
+  const request = async (method, url, { body, params, signal } = {}) => {
+    const queryString = toQueryString(params)
+    const response = await fetchFunc(`${baseURL}${url}${queryString ? `?${queryString}` : ''}`, {
+      ...init,
+      body: body === undefined ? undefined : JSON.stringify(body),
+      headers: {
+        Accept: 'application/json',
+        ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+        ...resolveHeaders(headers),
+      },
+      method,
+      signal,
+    })
+    const result = {
+      data: await parseResponseBody(response),
+      headers: response.headers,
+      status: response.status,
+    }
+    if (!response.ok) {
+      throw createHttpError(result)
+    }
+    return result
+  }
+  return {
+    deleteFunc: (url, { data } = {}) => request('DELETE', url, { body: data }),
+    getFunc: (url, { params, signal } = {}) => request('GET', url, { params, signal }),
+    patchFunc: (url, body) => request('PATCH', url, { body }),
+    postFunc: (url, body) => request('POST', url, { body }),
+    putFunc: (url, body) => request('PUT', url, { body }),
+  }
+}
+
+
+/**
+ * @description
+ * Creates a transport wrapping an `axios` instance.  `axios` already encodes JSON and rejects
+ * non-2xx responses, so this mostly shares config and builds query strings like
+ * `createFetchTransport` does.
+ *
+ * @param  {object} axiosInstance  An `axios` instance, or `axios` itself
+ * @param  {object} config         (Optional) Config shared by every request:
+ *                                   - {object|function} headers - (Optional) Headers sent with
+ *                                     every request, or a function that returns them, called for
+ *                                     each request
+ *                                   - Other - Any other `axios` request config, like `baseURL`
+ *                                     or `timeout`
+ *
+ * @return {object}                An object with `getFunc`, `postFunc`, `patchFunc`, `putFunc`
+ *                                 and `deleteFunc` functions
+ */
+export function createAxiosTransport(axiosInstance, config = {}) {
+  const { headers, ...sharedConfig } = config
+  const request = (method, url, { data, params, signal } = {}) => axiosInstance.request({
+    paramsSerializer: toQueryString,
+    ...sharedConfig,
+    data,
+    headers: resolveHeaders(headers),
+    method,
+    params,
+    signal,
+    url,
+  })
+  return {
+    deleteFunc: (url, { data } = {}) => request('delete', url, { data }),
+    getFunc: (url, { params, signal } = {}) => request('get', url, { params, signal }),
+    patchFunc: (url, data) => request('patch', url, { data }),
+    postFunc: (url, data) => request('post', url, { data }),
+    putFunc: (url, data) => request('put', url, { data }),
+  }
+}
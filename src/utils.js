@@ -1,4 +1,10 @@
-import { forEach, toPairs } from 'ramda'
+import {
+  forEach, fromPairs, identity, keys, map, prop, propOr, sortBy, toPairs, unnest,
+} from 'ramda'
+
+
+// helpers
+let mutationNum = 0
 
 
 /**
@@ -40,3 +46,98 @@ export const createDebugLog = debug => (debug && process.env.NODE_ENV !== 'produ
 // eslint-disable-next-line no-console
   ? console.log.bind(console)
   : Function.prototype)
+
+
+/**
+ * @description
+ * Combines the outcomes of each request made by an action into the single summary that the
+ * action's promise resolves with
+ *
+ * @param  {Array} requestOutcomes  Objects, one per request, with `successes` and `failures`
+ *                                  Arrays, and a `queued` Array if the request was queued
+ *                                  while offline.  Each item of those Arrays describes the
+ *                                  outcome for some of the request's data, like:
+ *                                  { data, error, requestData, response }
+ *
+ * @return {object}                 An object with keys:
+ *                                    - {Array} successes - All successes across the requests
+ *                                    - {Array} failures - All failures across the requests
+ *                                    - {Array} queued - All requests queued while offline
+ *                                    - {boolean} succeeded - `true` if nothing failed or was
+ *                                      queued
+ */
+export function summarizeRequestOutcomes(requestOutcomes) {
+  const successes = unnest(map(prop('successes'), requestOutcomes))
+  const failures = unnest(map(prop('failures'), requestOutcomes))
+  const queued = unnest(map(propOr([], 'queued'), requestOutcomes))
+  return {
+    failures,
+    queued,
+    succeeded: !failures.length && !queued.length,
+    successes,
+  }
+}
+
+
+/**
+ * @description
+ * Creates a key identifying a GET query from its params, so results of different queries can be
+ * stored separately.  Params that differ only in the order of their keys produce the same key.
+ * @example
+ * toQueryKey({ status: 'active', page: 1 }) === toQueryKey({ page: 1, status: 'active' })
+ * // true
+ * @param  {any} params  The query params of a GET
+ *
+ * @return {string}      A string key, unique to the given params
+ */
+export function toQueryKey(params) {
+  const sortKeys = (value) => {
+    if (value instanceof Array) {
+      return map(sortKeys, value)
+    }
+    if (value && typeof value === 'object') {
+      return fromPairs(map(key => [key, sortKeys(value[key])], sortBy(identity, keys(value))))
+    }
+    return value
+  }
+  return JSON.stringify(sortKeys(params === undefined ? null : params))
+}
+
+
+/**
+ * @description
+ * Converts an error thrown by a request into a plain object that can be kept in Redux state.
+ * Understands errors from `axios` (with a `response`) and errors with their own `status`.
+ * @param  {Error} error  The error thrown, if any.  Partial failures have no error.
+ *
+ * @return {object}       An object with keys:
+ *                          - {string} message - The error's message
+ *                          - {number} status - The response's HTTP status, if known
+ *                          - {any} body - The response's body, if known
+ */
+export function serializeError(error) {
+  if (!error) {
+    return { body: null, message: 'The request failed', status: null }
+  }
+  const response = error.response || {}
+  const status = response.status || error.status || null
+  const body = response.data !== undefined ? response.data : (error.body || null)
+  return {
+    body: body === undefined ? null : body,
+    message: String(error.message || error),
+    status,
+  }
+}
+
+
+/**
+ * @description
+ * Creates an ID for a mutation request, so the actions dispatched for it can be told apart
+ * from those of other requests mutating the same resources
+ *
+ * @return {number}  An ID that is unique among mutations
+ */
+export function getNextMutationId() {
+  mutationNum += 1
+  return mutationNum
+}
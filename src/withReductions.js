@@ -1,5 +1,12 @@
-import { identity } from 'ramda'
+import {
+  endsWith, groupBy, identity, isNil, map, prop, reduce, reject, toPairs,
+} from 'ramda'
 
+import { normalizeResources } from './normalize'
+import { CLEAR_ERRORS } from './reductions/errors'
+import { OFFLINE_QUEUE_ALL } from './reductions/offlineQueue'
+import { REORDER_ALL } from './reductions/order'
+import { UNDO_ALL } from './reductions/undo'
 import { flattenFuncMap } from './utils'
 
 
@@ -14,6 +21,60 @@ import { flattenFuncMap } from './utils'
 
 const defaultOptions = {
   namespaceSeparator: '/',
+  parentKey: null,
+  relations: null,
+}
+
+// The state of a slice, or of the slice of each parent in nested mode, before any actions
+export const initialSliceState = {
+  data: {},
+  dataParams: null,
+  didInvalidate: false,
+  numGetsInProgress: 0,
+  getSucceeded: false,
+  getError: null,
+  getFailed: false,
+  lastFetchedAt: null,
+  latestGetParams: null,
+  latestGetRequestId: null,
+  numDeletesInProgress: {},
+  numPosting: 0,
+  numReordersInProgress: 0,
+  offlineQueue: [],
+  order: [],
+  pagination: { hasMore: null, nextCursor: null, page: null },
+  patchChains: {},
+  pendingDeletes: {},
+  pendingPatches: {},
+  pendingPuts: {},
+  postError: null,
+  preDeleteResources: {},
+  prePatchResources: {},
+  prePutResources: {},
+  queries: {},
+  reorderError: null,
+  resourceErrors: {},
+  singleGets: {},
+  undoHistory: { future: [], past: [] },
+}
+
+// errors recorded by any operation can always be cleared, mutations always queued, the undo
+// history always stepped through and resources always reordered
+export const commonReducers = {
+  ...CLEAR_ERRORS, ...OFFLINE_QUEUE_ALL, ...REORDER_ALL, ...UNDO_ALL,
+}
+
+// Keeps only the IDs of related resources still nested in the resources of an action that
+// succeeded, like those of a PATCH response
+const normalizeAction = (relations, action) => {
+  const { data, type } = action
+  if (!relations || !endsWith('_SUCCESS', String(type)) || !data || typeof data !== 'object') {
+    return action
+  }
+  const normalize = resource => (resource && typeof resource === 'object'
+    ? normalizeResources(relations, [resource]).resources[0]
+    : resource)
+  return { ...action, data: data instanceof Array ? map(normalize, data) : normalize(data) }
 }
 
 /**
@@ -47,18 +108,64 @@ const validateHorParams = (reducer, operationReducers) => {
  *
  * Redux state properties used (and initialized) by this HOR:
  *   - data - Array of resource objects
+ *   - dataParams - The params of the GET that `data` and `order` were populated by
+ *   - didInvalidate - Whether the GET results were marked stale by `invalidate`
+ *   - getError - The error of the latest GET, if it failed, as { body, message, status }
+ *   - lastFetchedAt - Timestamp of when the GET results were fetched
+ *   - latestGetParams - The params of the most recently started GET
+ *   - latestGetRequestId - Identifies the most recently started GET.  Responses to any other
+ *     GET are ignored, so a slow response can't overwrite the results of a newer query.
+ *   - numDeletesInProgress - Id-indexed map of the number of optimistic deletes of each resource
+ *     that are in progress.  A resource is only restored once all of its deletes have failed.
  *   - numPosting - Number stating how many resources of the current type are posting
+ *   - numReordersInProgress - Number of reorders (see `reorderResources`) whose new order is
+ *     being saved
+ *   - offlineQueue - Array of the mutations that failed for lack of connectivity, in the order
+ *     they were queued, as { data, error, operation, queueId, queuedAt, requestData }.  They
+ *     stay in progress until they are replayed by `flushQueue` (see `./offlineQueue.js`).
+ *   - postError - The error of the last POST that failed, as { body, message, status }
+ *   - pagination - For paginated GETs, the last page retrieved, as { hasMore, nextCursor, page }
+ *   - patchChains - Id-indexed map of Arrays of the optimistic patches of each resource that are
+ *     in progress, in the order they were made, as { mutationId, patch }.  If one of them fails,
+ *     the resource is restored from `prePatchResources` with the others applied again.
+ *   - pendingDeletes - Id-indexed map of resource objects currently being deleted
+ *     pessimistically.  They are removed from `data` and `order` once their delete succeeds.
+ *   - pendingPatches - Id-indexed map of the patches currently being applied pessimistically.
+ *     Resources in this map are not modified in `data` until their patch succeeds.
+ *   - pendingPuts - Id-indexed map of the replacements currently being applied pessimistically
+ *     by PUTs.  Resources in this map are not modified in `data` until their PUT succeeds.
  *   - preDeleteResources - Id-indexed map of resource objects that are currently being deleted.
  *     If a delete fails for a resource, it will be restored from this map.
  *   - prePatchResources - Id-indexed map of pre-patch resource objects for resources that are
  *     currently being patched.  If a patch for a resource fails, it will be restored from this
  *     map.
- *   - order - Array of ids, so we can produce an ordered array of objects if we wish.  This
- *     may contain ids for resources that were deleted, so:
- *       - Don't use the count of items from this array for anything
- *       - Be sure to account for this array containing ids that aren't in `data` (meaning you
- *         can't simply map ids in this array to an array of resources, unless you then filter
- *         out the undefined values)
+ *   - prePutResources - Id-indexed map of resource objects as they were before being replaced
+ *     optimistically by PUTs that are in progress.  If a PUT fails, the resource is restored
+ *     from this map.
+ *   - queries - For GETs keyed by query (see the `cacheQueries` option of `getResources`), a map
+ *     of query keys to the state of each query's results, including its own `order`.  The
+ *     resources themselves are shared by all queries in `data`.
+ *   - reorderError - The error of the last reorder that failed to be saved, as
+ *     { body, message, status }
+ *   - resourceErrors - Id-indexed map of the errors of resources that failed to be mutated, as
+ *     { body, message, operation, status }.  Cleared when the resource is mutated again, or by
+ *     `clearErrors`.
+ *   - singleGets - Id-indexed map of the state of GETs of single resources (see `getResource`),
+ *     like { getError, getFailed, getSucceeded, numGetsInProgress }
+ *   - undoHistory - The optimistic mutations that can be undone by `undo` (`past`) and redone by
+ *     `redo` (`future`), each in the order they happened, as
+ *     { changes, mutationId, operation, resources }, and the `positions` of the resources in
+ *     `order` for deletes.  Only mutations dispatched with the `undoable` option are recorded,
+ *     up to the `undoLimit` option of this HOR (Defaults to 50).
+ *   - order - Array of ids, so we can produce an ordered array of objects if we wish.  New
+ *     resources are placed according to the `insertPosition` option of `postResources`, and
+ *     ids are removed once their resources' deletes succeed.  While an optimistic delete is in
+ *     progress, its resources' ids stay in `order` so they can be restored in place, so be sure
+ *     to filter out ids that aren't in `data` when mapping ids to resources.
+ *
+ * In nested mode (see the `parentKey` option), the slice is partitioned by parent instead:
+ *   - byParent - Map of parent IDs to the state of each parent's resources, which has all of
+ *     the properties above.  Actions reduce the state of the parent in their `parentId`.
  *
  * See `./reductions/*.js` to see which operations are currently supported
  *
@@ -66,6 +173,17 @@ const validateHorParams = (reducer, operationReducers) => {
  * @param {object} operationReducers Object of reducer functions; For now, see `./reductions`
  * @param {object} options      Options that can be used to customize the behavior of the
  *                              resulting reducer function.
+ *                                - {string} parentKey - (Defaults to `null`) Set to the
+ *                                  property of the resources that holds their parent's ID, like
+ *                                  'campaignId', to keep the resources of each parent in their
+ *                                  own state.  Must match the `parentKey` option given to
+ *                                  `generateActions` and `generateSelectors`.
+ *                                - {object} relations - (Defaults to `null`) Describes related
+ *                                  resources nested within the resources (see `./normalize.js`),
+ *                                  so that only their IDs are kept in `data`, whichever action
+ *                                  they come with.  Give the same `relations` to `getResources`
+ *                                  and `getResource`, which also merge the related resources
+ *                                  into their own slices.
  * @param {function} reducer    (Optional) Not actually a 4th parameter.  Calling this function
  *                              with the above parameters returns a HOR factory to be called
  *                              with this reducer as its only parameter.  This is the base reducer.
@@ -84,29 +202,50 @@ const withReductions = (
     ...defaultOptions,
     ...options,
   }
-  const { namespaceSeparator } = computedOptions
-  const reducerFuncMap = flattenFuncMap(operationReducers, `${namespace}${namespaceSeparator}`)
+  const { namespaceSeparator, parentKey, relations } = computedOptions
+  const reducerFuncMap = flattenFuncMap(
+    { ...commonReducers, ...operationReducers },
+    `${namespace}${namespaceSeparator}`,
+  )
 
   return (state, action) => {
     const baseInitialState = baseReducer(undefined, action)
     if (!state) {
-      return {
-        data: {},
-        numGetsInProgress: 0,
-        getSucceeded: false,
-        getFailed: false,
-        numPosting: 0,
-        order: [],
-        preDeleteResources: {},
-        prePatchResources: {},
-        ...baseInitialState,
-      }
+      return parentKey
+        ? { byParent: {}, ...baseInitialState }
+        : { ...initialSliceState, ...baseInitialState }
     }
     const reducerFunc = reducerFuncMap[action.type]
-    const autoReducedState = typeof reducerFunc === 'function'
-      ? reducerFunc(state, action, options)
-      : state
-    return baseReducer(autoReducedState, action)
+    if (typeof reducerFunc !== 'function') {
+      return baseReducer(state, action)
+    }
+    const sliceAction = normalizeAction(relations, action)
+    if (!parentKey) {
+      return baseReducer(reducerFunc(state, sliceAction, options), action)
+    }
+    const reduceParentSlice = (byParent, parentAction) => ({
+      ...byParent,
+      [parentAction.parentId]: reducerFunc(
+        byParent[parentAction.parentId] || initialSliceState,
+        parentAction,
+        options,
+      ),
+    })
+    // actions without a parent ID, like those merging related resources, are split among the
+    // parents of their resources
+    const parentActions = sliceAction.parentId === undefined
+      ? map(
+        ([parentId, data]) => ({ ...sliceAction, data, parentId }),
+        toPairs(groupBy(prop(parentKey), reject(
+          resource => isNil(resource[parentKey]),
+          sliceAction.data instanceof Array ? sliceAction.data : [],
+        ))),
+      )
+      : [sliceAction]
+    return baseReducer({
+      ...state,
+      byParent: reduce(reduceParentSlice, state.byParent, parentActions),
+    }, action)
   }
 }
 
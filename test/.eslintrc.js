@@ -0,0 +1,9 @@
+module.exports = {
+  "env": {
+    "node": true,
+  },
+  "rules": {
+    // the test runner is built into Node
+    "import/no-unresolved": [2, { "ignore": ["^node:"] }],
+  },
+}
@@ -0,0 +1,67 @@
+const api = require('../dist/bundle')
+
+
+/**
+ * @description
+ * A minimal Redux store with a single slice, which runs thunks like `redux-thunk` does and
+ * records the type of every action dispatched to it
+ * @param  {string} namespace  Namespace of the slice
+ * @param  {object} reducers   The reducers given to `withReductions`
+ * @param  {Array} resources   The resources the slice starts with, in order
+ *
+ * @return {object}            The store, with `dispatch`, `getState` and `types`
+ */
+const createStore = (namespace, reducers, resources = []) => {
+  const reducer = api.withReductions(namespace, reducers, { idKey: 'id' })()
+  const initialSlice = reducer(undefined, { type: '@@INIT' })
+  let state = {
+    [namespace]: {
+      ...initialSlice,
+      data: resources.reduce((data, resource) => ({ ...data, [resource.id]: resource }), {}),
+      order: resources.map(resource => resource.id),
+    },
+  }
+  const store = {
+    getState: () => state,
+    types: [],
+  }
+  store.dispatch = (action) => {
+    if (typeof action === 'function') {
+      return action(store.dispatch, store.getState)
+    }
+    store.types.push(action.type)
+    state = { ...state, [namespace]: reducer(state[namespace], action) }
+    return action
+  }
+  return store
+}
+
+
+/**
+ * @description
+ * A request function whose requests are concluded by the test, in any order
+ * @return {function}  The request function, with a `requests` Array of the requests made, each
+ *                     like { body, reject, resolve, url }
+ */
+const createDeferredRequests = () => {
+  const requests = []
+  const request = (url, body) => new Promise((resolve, reject) => {
+    requests.push({
+      body, reject, resolve, url,
+    })
+  })
+  request.requests = requests
+  return request
+}
+
+
+// Lets pending promise callbacks and timers run
+const settle = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms))
+
+
+module.exports = {
+  api,
+  createDeferredRequests,
+  createStore,
+  settle,
+}
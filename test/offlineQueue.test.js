@@ -0,0 +1,67 @@
+const assert = require('assert')
+const { describe, it } = require('node:test')
+
+const { api, createStore } = require('./helpers')
+
+
+describe('offline queue', () => {
+  it('replays queued mutations in order once back online', async () => {
+    const store = createStore('products', api.OPT_PATCH_ALL, [{ id: 1, name: 'a' }])
+    let isOnline = false
+    const sent = []
+    const patchFunc = async (url, body) => {
+      if (!isOnline) {
+        throw new TypeError('Failed to fetch')
+      }
+      sent.push(body)
+      return {}
+    }
+    const actions = api.generateActions({})(
+      'products',
+      { ...api.patchResources, ...api.flushQueue },
+      '/products',
+      { isOnline: () => isOnline, patchFunc, queueOffline: true },
+    )
+    await store.dispatch(actions.patchResources({ id: 1 }, { name: 'b' }))
+    const outcome = await store.dispatch(actions.patchResources({ id: 1 }, { name: 'c' }))
+    assert.deepStrictEqual([outcome.succeeded, outcome.queued.length], [false, 1])
+    assert.strictEqual(store.getState().products.offlineQueue.length, 2)
+    assert.deepStrictEqual(store.getState().products.data[1], { id: 1, name: 'c' })
+
+    isOnline = true
+    assert.strictEqual((await store.dispatch(actions.flushQueue())).succeeded, true)
+    assert.deepStrictEqual(sent, [[{ id: 1, name: 'b' }], [{ id: 1, name: 'c' }]])
+    const slice = store.getState().products
+    assert.deepStrictEqual(slice.offlineQueue, [])
+    assert.deepStrictEqual(slice.patchChains, {})
+    assert.deepStrictEqual(slice.data[1], { id: 1, name: 'c' })
+  })
+
+  it('keeps the queues of different stores apart', async () => {
+    const stores = [
+      createStore('products', api.OPT_PATCH_ALL, [{ id: 1, name: 'a' }]),
+      createStore('products', api.OPT_PATCH_ALL, [{ id: 1, name: 'a' }]),
+    ]
+    let isOnline = false
+    const sent = []
+    const patchFunc = async (url, body) => {
+      if (!isOnline) {
+        throw new TypeError('Failed to fetch')
+      }
+      sent.push(body)
+      return {}
+    }
+    const actions = api.generateActions({})(
+      'products',
+      { ...api.patchResources, ...api.flushQueue },
+      '/products',
+      { isOnline: () => isOnline, patchFunc, queueOffline: true },
+    )
+    await stores[0].dispatch(actions.patchResources({ id: 1 }, { name: 'b' }))
+    await stores[1].dispatch(actions.patchResources({ id: 1 }, { name: 'c' }))
+    isOnline = true
+    await Promise.all(stores.map(store => store.dispatch(actions.flushQueue())))
+    assert.deepStrictEqual(sent, [[{ id: 1, name: 'b' }], [{ id: 1, name: 'c' }]])
+    stores.forEach(store => assert.deepStrictEqual(store.getState().products.offlineQueue, []))
+  })
+})
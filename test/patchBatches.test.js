@@ -0,0 +1,122 @@
+const assert = require('assert')
+const { describe, it } = require('node:test')
+
+const {
+  api, createDeferredRequests, createStore, settle,
+} = require('./helpers')
+
+
+describe('batched patches', () => {
+  const resources = [{ id: 1, name: 'a' }, { id: 2, name: 'b' }]
+  const generate = options => api.generateActions({})(
+    'products',
+    { ...api.patchResources, ...api.flushPatches },
+    '/products',
+    options,
+  )
+
+  it('sends the patches of a batch together when flushed', async () => {
+    const store = createStore('products', api.OPT_PATCH_ALL, resources)
+    const patchFunc = createDeferredRequests()
+    const actions = generate({ patchBatchWindow: Infinity, patchFunc })
+    const first = store.dispatch(actions.patchResources({ id: 1 }, { name: 'c' }))
+    const second = store.dispatch(actions.patchResources([{ id: 1 }, { id: 2 }], [
+      { price: 3 },
+      { name: 'd' },
+    ]))
+    assert.deepStrictEqual(store.getState().products.data[1], { id: 1, name: 'c', price: 3 })
+    await settle()
+    assert.strictEqual(patchFunc.requests.length, 0)
+
+    const flush = store.dispatch(actions.flushPatches())
+    await settle()
+    assert.strictEqual(patchFunc.requests.length, 1)
+    assert.deepStrictEqual(patchFunc.requests[0].body, [
+      { id: 1, name: 'c', price: 3 },
+      { id: 2, name: 'd' },
+    ])
+    patchFunc.requests[0].resolve({})
+    assert.strictEqual((await flush).succeeded, true)
+    const [firstOutcome, secondOutcome] = await Promise.all([first, second])
+    assert.deepStrictEqual(firstOutcome.successes[0].data, [{ id: 1, name: 'c', price: 3 }])
+    assert.strictEqual(secondOutcome.successes[0].data.length, 2)
+    assert.deepStrictEqual(store.getState().products.patchChains, {})
+  })
+
+  it('rejects every dispatch of a batch that can\'t be sent', async () => {
+    const store = createStore('products', api.OPT_PATCH_ALL, resources)
+    const patchFunc = createDeferredRequests()
+    let numCalls = 0
+    const actions = generate({
+      patchBatchWindow: 5,
+      patchFunc,
+      // succeeds for each dispatch, but throws for the merged batch
+      patchTargetsToRequestDataArray: (options, targetResources, newProperties) => {
+        numCalls += 1
+        if (numCalls > 2) {
+          throw new Error('Unmergeable')
+        }
+        return [newProperties.map((properties, i) => ({
+          ...properties,
+          id: targetResources[i].id,
+        }))]
+      },
+    })
+    const dispatches = [
+      store.dispatch(actions.patchResources({ id: 1 }, { name: 'c' })),
+      store.dispatch(actions.patchResources({ id: 2 }, { name: 'd' })),
+    ]
+    const outcomes = await Promise.all(dispatches.map(dispatched => dispatched.then(
+      () => 'resolved',
+      error => error.message,
+    )))
+    assert.deepStrictEqual(outcomes, ['Unmergeable', 'Unmergeable'])
+    assert.strictEqual(patchFunc.requests.length, 0)
+  })
+
+  it('keeps the batches of different stores apart', async () => {
+    const stores = [
+      createStore('products', api.OPT_PATCH_ALL, resources),
+      createStore('products', api.OPT_PATCH_ALL, resources),
+    ]
+    const patchFunc = createDeferredRequests()
+    const actions = generate({ patchBatchWindow: 5, patchFunc })
+    const dispatches = [
+      stores[0].dispatch(actions.patchResources({ id: 1 }, { name: 'c' })),
+      stores[1].dispatch(actions.patchResources({ id: 2 }, { name: 'd' })),
+    ]
+    await settle(10)
+    assert.deepStrictEqual(
+      patchFunc.requests.map(request => request.body),
+      [[{ id: 1, name: 'c' }], [{ id: 2, name: 'd' }]],
+    )
+    patchFunc.requests.forEach(request => request.resolve({}))
+    const outcomes = await Promise.all(dispatches)
+    assert.deepStrictEqual(outcomes.map(outcome => outcome.succeeded), [true, true])
+    stores.forEach((store) => {
+      assert.deepStrictEqual(store.types, ['products/OPT_PATCH_START', 'products/OPT_PATCH_SUCCESS'])
+      assert.deepStrictEqual(store.getState().products.patchChains, {})
+      assert.deepStrictEqual(store.getState().products.prePatchResources, {})
+    })
+  })
+
+  it('sends patches dispatched with other options in their own batch', async () => {
+    const store = createStore('products', api.OPT_PATCH_ALL, resources)
+    const patchFuncs = [createDeferredRequests(), createDeferredRequests()]
+    const actions = patchFuncs.map(patchFunc => generate({ patchBatchWindow: Infinity, patchFunc }))
+    const dispatches = [
+      store.dispatch(actions[0].patchResources({ id: 1 }, { name: 'c' })),
+      store.dispatch(actions[1].patchResources({ id: 2 }, { name: 'd' })),
+    ]
+    store.dispatch(actions[0].flushPatches())
+    await settle()
+    assert.deepStrictEqual(patchFuncs[0].requests.map(request => request.body), [
+      [{ id: 1, name: 'c' }],
+    ])
+    assert.deepStrictEqual(patchFuncs[1].requests.map(request => request.body), [
+      [{ id: 2, name: 'd' }],
+    ])
+    patchFuncs.forEach(patchFunc => patchFunc.requests[0].resolve({}))
+    await Promise.all(dispatches)
+  })
+})
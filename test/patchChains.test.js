@@ -0,0 +1,58 @@
+const assert = require('assert')
+const { describe, it } = require('node:test')
+
+const {
+  api, createDeferredRequests, createStore, settle,
+} = require('./helpers')
+
+
+describe('concurrent patches of a resource', () => {
+  const setUp = () => {
+    const store = createStore('products', api.OPT_PATCH_ALL, [{ id: 1, name: 'a', price: 1 }])
+    const patchFunc = createDeferredRequests()
+    const actions = api.generateActions({})('products', api.patchResources, '/products', {
+      patchFunc,
+    })
+    return { actions, patchFunc, store }
+  }
+
+  it('rolls back only the patch that failed in the middle of a chain', async () => {
+    const { actions, patchFunc, store } = setUp()
+    const first = store.dispatch(actions.patchResources({ id: 1 }, { name: 'b' }))
+    const second = store.dispatch(actions.patchResources({ id: 1 }, { price: 2 }))
+    const third = store.dispatch(actions.patchResources({ id: 1 }, { name: 'c' }))
+    await settle()
+    assert.deepStrictEqual(store.getState().products.data[1], { id: 1, name: 'c', price: 2 })
+    assert.strictEqual(store.getState().products.patchChains[1].length, 3)
+
+    const error = new Error('Bad Request')
+    error.response = { status: 400 }
+    patchFunc.requests[1].reject(error)
+    await second
+    assert.deepStrictEqual(store.getState().products.data[1], { id: 1, name: 'c', price: 1 })
+    assert.strictEqual(store.getState().products.patchChains[1].length, 2)
+
+    patchFunc.requests[0].resolve({})
+    patchFunc.requests[2].resolve({})
+    const outcomes = await Promise.all([first, third])
+    assert.deepStrictEqual(outcomes.map(outcome => outcome.succeeded), [true, true])
+    const slice = store.getState().products
+    assert.deepStrictEqual(slice.data[1], { id: 1, name: 'c', price: 1 })
+    assert.deepStrictEqual(slice.patchChains, {})
+    assert.deepStrictEqual(slice.prePatchResources, {})
+  })
+
+  it('keeps later patches when the oldest fails after a later one succeeded', async () => {
+    const { actions, patchFunc, store } = setUp()
+    const first = store.dispatch(actions.patchResources({ id: 1 }, { name: 'b' }))
+    const second = store.dispatch(actions.patchResources({ id: 1 }, { price: 2 }))
+    await settle()
+    patchFunc.requests[1].resolve({})
+    await second
+    patchFunc.requests[0].reject(new Error('Bad Request'))
+    assert.strictEqual((await first).succeeded, false)
+    const slice = store.getState().products
+    assert.deepStrictEqual(slice.data[1], { id: 1, name: 'a', price: 2 })
+    assert.deepStrictEqual(slice.patchChains, {})
+  })
+})
@@ -0,0 +1,82 @@
+const assert = require('assert')
+const { describe, it } = require('node:test')
+
+const { api, createStore } = require('./helpers')
+
+
+describe('undoing and redoing a delete', () => {
+  const setUp = () => {
+    const store = createStore(
+      'products',
+      { ...api.OPT_DELETE_ALL, ...api.OPT_POST_ALL },
+      [1, 2, 3, 4, 5].map(id => ({ id, name: `p${id}` })),
+    )
+    const sent = []
+    let nextId = 100
+    const record = method => async (url, body) => {
+      sent.push({ body, method })
+      return {
+        data: method === 'POST'
+          ? body.map(() => {
+            nextId += 1
+            return { id: nextId }
+          })
+          : {},
+      }
+    }
+    const actions = api.generateActions({})(
+      'products',
+      { ...api.deleteResources, ...api.undo, ...api.redo },
+      '/products',
+      { deleteFunc: record('DELETE'), postFunc: record('POST'), undoable: true },
+    )
+    const names = () => {
+      const { data, order } = store.getState().products
+      return order.map(id => data[id].name)
+    }
+    return {
+      actions, names, sent, store,
+    }
+  }
+
+  it('posts the deleted resources again where they were in order', async () => {
+    const {
+      actions, names, sent, store,
+    } = setUp()
+    const { data } = store.getState().products
+    await store.dispatch(actions.deleteResources([data[4], data[2]]))
+    assert.deepStrictEqual(names(), ['p1', 'p3', 'p5'])
+
+    assert.strictEqual((await store.dispatch(actions.undo())).succeeded, true)
+    assert.deepStrictEqual(names(), ['p1', 'p2', 'p3', 'p4', 'p5'])
+    assert.deepStrictEqual(
+      sent.filter(request => request.method === 'POST').map(request => request.body),
+      [[{ name: 'p2' }], [{ name: 'p4' }]],
+    )
+    const { undoHistory } = store.getState().products
+    assert.strictEqual(undoHistory.past.length, 0)
+    assert.deepStrictEqual(undoHistory.future[0].resources.map(resource => resource.name), [
+      'p4',
+      'p2',
+    ])
+  })
+
+  it('deletes the re-created resources when redone', async () => {
+    const {
+      actions, names, sent, store,
+    } = setUp()
+    await store.dispatch(actions.deleteResources(store.getState().products.data[1]))
+    await store.dispatch(actions.undo())
+    const recreatedId = store.getState().products.order[0]
+    assert.notStrictEqual(recreatedId, 1)
+
+    assert.strictEqual((await store.dispatch(actions.redo())).succeeded, true)
+    assert.deepStrictEqual(names(), ['p2', 'p3', 'p4', 'p5'])
+    assert.deepStrictEqual(sent[sent.length - 1], {
+      body: { data: [recreatedId] },
+      method: 'DELETE',
+    })
+    const { undoHistory } = store.getState().products
+    assert.deepStrictEqual([undoHistory.past.length, undoHistory.future.length], [1, 0])
+  })
+})